@@ -4,12 +4,16 @@
 //-------------------NOTES-----------------------------------------------------------------------//
 // This script:
 // 1. Uses Sentinel-2 Harmonized data available on Google Earth Engine to classify the image
-// 2. Uses Supervised Classification Algorithms (CART, RF, SVM) to classify the image
-// 3. Calculates NDVI and NDWI indices & appends to image to be used for classification
-// 4. Calculates accuracy metrics for each classifier and selects the best classifier
-// 5. Vectorizes the classified image into polygons for each class
-// 6. Exports the polygons to Google Drive
-// 7. Uses examples from Google Earth Engine Help Documentation to classify the image
+// 2. Loads the training samples from a FeatureCollection asset (Data/training_samples.geojson by default)
+// with a configurable class property and class schema, and validates them before training
+// 3. Uses Supervised Classification Algorithms (CART, RF, SVM) to classify the image
+// 4. Calculates NDVI and NDWI indices & appends to image to be used for classification
+// 5. Calculates accuracy metrics for each classifier on a seeded stratified 70/30 split and by stratified
+// k-fold cross-validation (exported as CSV), and selects the best classifier by kappa,
+// overall accuracy or developed-class F1, which is used for the vectorized classes
+// 6. Vectorizes the classified image into polygons for each class
+// 7. Exports the polygons to Google Drive
+// 8. Uses examples from Google Earth Engine Help Documentation to classify the image
 //-----------------------------------------------------------------------------------------------//
 
 //---------------------AREA OF INTEREST-------------------------------------------------------//
@@ -34,546 +38,38 @@ var pt =
 ee.Geometry.Point([-123.685197463174, 48.7987212936643]);
 
 
-//---------------------SUPERVISED CLASSIFICATION TRAINING SAMPLES----------------------------//
-// Create training samples for each class using Sentinel-2 image and basemap imagery
-  var denseveg = 
-  /* color: #189436 */
-  /* shown: false */
-  ee.FeatureCollection(
-      [ee.Feature(
-          ee.Geometry.Point([-123.69949775609038, 48.80033987253811]),
-          {
-            "class": 0,
-            "system:index": "0"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67413132020762, 48.800725309735654]),
-          {
-            "class": 0,
-            "system:index": "1"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67588094742806, 48.81019183348935]),
-          {
-            "class": 0,
-            "system:index": "2"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66566275816113, 48.80465842984178]),
-          {
-            "class": 0,
-            "system:index": "3"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67172455053479, 48.80137601917151]),
-          {
-            "class": 0,
-            "system:index": "4"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.63492387949269, 48.80419919559333]),
-          {
-            "class": 0,
-            "system:index": "5"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6353927993879, 48.80610918453151]),
-          {
-            "class": 0,
-            "system:index": "6"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.63783897400948, 48.81334435963331]),
-          {
-            "class": 0,
-            "system:index": "7"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.64723743439767, 48.81317479716445]),
-          {
-            "class": 0,
-            "system:index": "8"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.64919008256051, 48.80938068695377]),
-          {
-            "class": 0,
-            "system:index": "9"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.68008325512437, 48.789142043733094]),
-          {
-            "class": 0,
-            "system:index": "10"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.7190037969651, 48.79678632928141]),
-          {
-            "class": 0,
-            "system:index": "11"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.72807130838989, 48.80691117562948]),
-          {
-            "class": 0,
-            "system:index": "12"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.73332843805908, 48.80532836722203]),
-          {
-            "class": 0,
-            "system:index": "13"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.69238297310267, 48.81650173865779]),
-          {
-            "class": 0,
-            "system:index": "14"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.69066635933314, 48.80559273852985]),
-          {
-            "class": 0,
-            "system:index": "15"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.64557518306245, 48.81004100422989]),
-          {
-            "class": 0,
-            "system:index": "16"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66106762233247, 48.810062200894684]),
-          {
-            "class": 0,
-            "system:index": "17"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65635957447985, 48.79764408334009]),
-          {
-            "class": 0,
-            "system:index": "18"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66803157478624, 48.78568216678263]),
-          {
-            "class": 0,
-            "system:index": "19"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.70167175243415, 48.817542102754224]),
-          {
-            "class": 0,
-            "system:index": "20"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.71602693508186, 48.81392494858953]),
-          {
-            "class": 0,
-            "system:index": "21"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.62923392222288, 48.80208566006529]),
-          {
-            "class": 0,
-            "system:index": "22"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.63828905985716, 48.80161925719007]),
-          {
-            "class": 0,
-            "system:index": "23"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6464182765629, 48.79529661134469]),
-          {
-            "class": 0,
-            "system:index": "24"
-          })]);
-  var water = 
-  /* color: #2c37ff */
-  /* shown: false */
-  ee.FeatureCollection(
-      [ee.Feature(
-          ee.Geometry.Point([-123.70002415210567, 48.806749521009856]),
-          {
-            "class": 1,
-            "system:index": "0"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65479137927852, 48.80584506226442]),
-          {
-            "class": 1,
-            "system:index": "1"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67109921008907, 48.79216313442945]),
-          {
-            "class": 1,
-            "system:index": "2"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67977361825359, 48.779361512044005]),
-          {
-            "class": 1,
-            "system:index": "3"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66993307648896, 48.80215395828421]),
-          {
-            "class": 1,
-            "system:index": "4"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.70116712461486, 48.79493117902757]),
-          {
-            "class": 1,
-            "system:index": "5"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.70293738256468, 48.79365897953192]),
-          {
-            "class": 1,
-            "system:index": "6"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.71506113503544, 48.79873953635288]),
-          {
-            "class": 1,
-            "system:index": "7"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.64348407603725, 48.81050684258835]),
-          {
-            "class": 1,
-            "system:index": "8"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6593896032034, 48.80945185627553]),
-          {
-            "class": 1,
-            "system:index": "9"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67014805112309, 48.80261405897865]),
-          {
-            "class": 1,
-            "system:index": "10"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.57747989328398, 48.81129251488576]),
-          {
-            "class": 1,
-            "system:index": "11"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6664004865457, 48.855812888827934]),
-          {
-            "class": 1,
-            "system:index": "12"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65385795824105, 48.891905357952744]),
-          {
-            "class": 1,
-            "system:index": "13"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.59997141227934, 48.792529812892546]),
-          {
-            "class": 1,
-            "system:index": "14"
-          })]);
-  var developed = 
-  /* color: #7921d1 */
-  /* shown: false */
-  ee.FeatureCollection(
-      [ee.Feature(
-          ee.Geometry.Point([-123.65432404876695, 48.799379123618834]),
-          {
-            "class": 2,
-            "system:index": "0"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6866312914383, 48.80706078993144]),
-          {
-            "class": 2,
-            "system:index": "1"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66707821764601, 48.80773995552965]),
-          {
-            "class": 2,
-            "system:index": "2"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6942853182314, 48.785762773290706]),
-          {
-            "class": 2,
-            "system:index": "3"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.70411293206196, 48.78457517111452]),
-          {
-            "class": 2,
-            "system:index": "4"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.68905005719074, 48.80203558130525]),
-          {
-            "class": 2,
-            "system:index": "5"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66583955755519, 48.81153851687302]),
-          {
-            "class": 2,
-            "system:index": "6"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65674484306328, 48.811679230847346]),
-          {
-            "class": 2,
-            "system:index": "7"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6489972937798, 48.8152753219956]),
-          {
-            "class": 2,
-            "system:index": "8"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65638677961583, 48.818911805573705]),
-          {
-            "class": 2,
-            "system:index": "9"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66097098613004, 48.78526170934927]),
-          {
-            "class": 2,
-            "system:index": "10"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.665825784447, 48.783586317124154]),
-          {
-            "class": 2,
-            "system:index": "11"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.71729067045804, 48.808966315671064]),
-          {
-            "class": 2,
-            "system:index": "12"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.7156873398658, 48.806393809802536]),
-          {
-            "class": 2,
-            "system:index": "13"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66777308758108, 48.805352269895465]),
-          {
-            "class": 2,
-            "system:index": "14"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.62621851427416, 48.79954069167177]),
-          {
-            "class": 2,
-            "system:index": "15"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.68625233585863, 48.78409488027283]),
-          {
-            "class": 2,
-            "system:index": "16"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.63952306941857, 48.79826270491332]),
-          {
-            "class": 2,
-            "system:index": "17"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65343705067704, 48.78932356985198]),
-          {
-            "class": 2,
-            "system:index": "18"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.69246855626176, 48.79077965464387]),
-          {
-            "class": 2,
-            "system:index": "19"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6961510766941, 48.781586743787045]),
-          {
-            "class": 2,
-            "system:index": "20"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.72087031497534, 48.7823785288388]),
-          {
-            "class": 2,
-            "system:index": "21"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.70294216312655, 48.77536280341531]),
-          {
-            "class": 2,
-            "system:index": "22"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.74070728297333, 48.787259386444816]),
-          {
-            "class": 2,
-            "system:index": "23"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.72955926808866, 48.79783152212074]),
-          {
-            "class": 2,
-            "system:index": "24"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.72207054051908, 48.8023967751427]),
-          {
-            "class": 2,
-            "system:index": "25"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.7112357610332, 48.81630599014203]),
-          {
-            "class": 2,
-            "system:index": "26"
-          })]);
-  var grass = 
-  /* color: #ffc82d */
-  /* shown: false */
-  ee.FeatureCollection(
-      [ee.Feature(
-          ee.Geometry.Point([-123.63712716277068, 48.81053323379206]),
-          {
-            "class": 3,
-            "system:index": "0"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66526889975493, 48.80934975074241]),
-          {
-            "class": 3,
-            "system:index": "1"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.69409982605751, 48.793307846019445]),
-          {
-            "class": 3,
-            "system:index": "2"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67438022538002, 48.78826110157566]),
-          {
-            "class": 3,
-            "system:index": "3"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.67454255880754, 48.804419554084184]),
-          {
-            "class": 3,
-            "system:index": "4"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6778466570326, 48.785713753316806]),
-          {
-            "class": 3,
-            "system:index": "5"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66839067861132, 48.80423437289543]),
-          {
-            "class": 3,
-            "system:index": "6"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.71001964594882, 48.79273839285876]),
-          {
-            "class": 3,
-            "system:index": "7"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.7073433507991, 48.80725260522194]),
-          {
-            "class": 3,
-            "system:index": "8"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.69406105175736, 48.80304818912202]),
-          {
-            "class": 3,
-            "system:index": "9"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.682835880512, 48.806033117954975]),
-          {
-            "class": 3,
-            "system:index": "10"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.65007052935847, 48.8103702777325]),
-          {
-            "class": 3,
-            "system:index": "11"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.66481195010432, 48.80676673813764]),
-          {
-            "class": 3,
-            "system:index": "12"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.62905612727103, 48.82127640948789]),
-          {
-            "class": 3,
-            "system:index": "13"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.64374124063983, 48.80335713073745]),
-          {
-            "class": 3,
-            "system:index": "14"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.6409088279201, 48.806748935185595]),
-          {
-            "class": 3,
-            "system:index": "15"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.64562951578631, 48.82330895164173]),
-          {
-            "class": 3,
-            "system:index": "16"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.70186322238824, 48.82328340699344]),
-          {
-            "class": 3,
-            "system:index": "17"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.63191989843688, 48.81794812853171]),
-          {
-            "class": 3,
-            "system:index": "18"
-          }),
-      ee.Feature(
-          ee.Geometry.Point([-123.74733251074043, 48.79960346143624]),
-          {
-            "class": 3,
-            "system:index": "19"
-          })]);
+//---------------------TRAINING DATA PARAMETERS----------------------------------------------//
+
+// Training samples: path of a FeatureCollection asset or uploaded table (e.g. GeoJSON, CSV or
+// shapefile uploaded as a table asset). Upload Data/training_samples.geojson of this repository
+// as a table asset to use the dense vegetation, water, developed and grass samples of the example area
+var trainingAsset = 'users/<username>/HydroecologicalRiparianZone/training_samples';
+
+// Property holding the (integer) class value of each sample
+var classProperty = 'class';
+
+// Class schema: value, name and display color of each class
+var classSchema = [
+  {value: 0, name: 'dense vegetation', color: 'green'},
+  {value: 1, name: 'water', color: 'blue'},
+  {value: 2, name: 'developed', color: 'pink'},
+  {value: 3, name: 'grass', color: 'brown'}
+];
+
+// Metric to select the best classifier on the testing set:
+// 'kappa', 'accuracy' (overall accuracy) or 'f1' (F1 score of the developed class)
+var selectionMetric = 'kappa';
+// Value of the developed class, looked up by its name in the class schema
+var developedClass = classSchema.filter(function(c){ return c.name == 'developed'; })[0].value;
+
+// Stratified k-fold cross-validation: number of folds, and the seed of the random splits
+var folds = 5;
+var seed = 42;
+
+// Classification class labels, names, and colors
+var classLabels = classSchema.map(function(c){ return c.value; });
+var classNames = classSchema.map(function(c){ return c.name; });
+var classColors = classSchema.map(function(c){ return c.color; });
 
 //--------------------SENTINEL-2 PARAMETERS-------------------------------------------------//
 
@@ -581,30 +77,37 @@ ee.Geometry.Point([-123.685197463174, 48.7987212936643]);
 var startDate = '2023-01-01';
 var endDate = '2023-12-31';
   
-// Load the Sentinel-2 image collection
-var sentinel = ee.ImageCollection('COPERNICUS/S2_HARMONIZED')
-    .filterBounds(pt)
-    .filterDate(startDate, endDate)
-    .sort('CLOUDY_PIXEL_PERCENTAGE')
-    .first();
-
-// Function to mask clouds and shadows
-function maskCloudsAndShadows(image) {
-  var qa = image.select('QA60');
-  var cloudBit = 10;
-  var shadowBit = 11;
-  var clouds = qa.bitwiseAnd(Math.pow(2, cloudBit)).neq(0);
-  var shadows = qa.bitwiseAnd(Math.pow(2, shadowBit)).neq(0);
-  var mask = clouds.or(shadows).not();
-  return image.updateMask(mask);
-}
-
-// Apply the cloud and shadow mask
-var maskedImage = maskCloudsAndShadows(sentinel);
+// Sentinel-2 product level: 'L1C' (top-of-atmosphere, COPERNICUS/S2_HARMONIZED) or
+// 'L2A' (surface reflectance, COPERNICUS/S2_SR_HARMONIZED, additionally masked by the SCL band)
+var productLevel = 'L1C';
+print('Sentinel-2 product level:', productLevel);
+
+// Cloud masking method: 'QA60', 's2cloudless' or 'cloudscore' (Cloud Score+),
+// with the cloud probability / score thresholds and the mask dilation buffer in meters
+var cloudOptions = {method: 'QA60', cloudProbability: 50, cloudScore: 0.6, buffer: 0,
+    scl: productLevel == 'L2A'};
+
+// Optical sensor: 'S2' (Sentinel-2), 'L8L9' (Landsat 8/9 Collection 2), 'HLS' (Harmonized
+// Landsat-Sentinel) or 'S2+L8L9' (merged Sentinel-2 and Landsat 8/9). The product level and
+// cloud masking method above apply to Sentinel-2, the buffer to all sensors. 'S2+L8L9' always uses
+// Sentinel-2 L2A so that both sensors are surface reflectance
+var sensor = 'S2';
+print('Optical sensor:', sensor);
+
+// Load the shared sensor module, update the path to your copy of sensors.js (and cloudmask.js)
+var sensors = require('users/<username>/HydroecologicalRiparianZone:Scripts/sensors');
+
+// Load the cloud-masked image collection, scaled to reflectance (0-1) with common band names
+// (blue, green, red, nir, swir1, swir2, and rededge1-3 for Sentinel-2)
+var collection = sensors.load(sensor, pt, startDate, endDate,
+    {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 100});
+
+// Select the least cloudy image
+var maskedImage = ee.Image(collection.sort('cloud_cover').first());
 
 // Calculate NDVI and NDWI
-var ndvi = maskedImage.normalizedDifference(['B8', 'B4']).rename('NDVI');
-var ndwi = maskedImage.normalizedDifference(['B8', 'B11']).rename('NDWI');
+var ndvi = maskedImage.normalizedDifference(['nir', 'red']).rename('NDVI');
+var ndwi = maskedImage.normalizedDifference(['nir', 'swir1']).rename('NDWI');
 
 // Add the indices as new bands to the Sentinel-2 image
 var sentinelWithIndices = maskedImage.addBands(ndvi).addBands(ndwi);
@@ -614,35 +117,72 @@ print('Sentinel-2 Image with NDVI and NDWI', sentinelWithIndices);
 
 // Display the Sentinel-2 image to be used for classification
 Map.centerObject(aoi,12);
-var visParams={bands:['B4','B3','B2'], min:285, max:1234};
+var visParams={bands:['red','green','blue'], min:0.0285, max:0.1234};
 Map.addLayer(sentinelWithIndices , visParams, 'Sentinel 2 Image', 0);
 
 
-//-------------------- SUPERVISED CLASSIFICATION ----------------------------------------
+//-------------------- TRAINING DATA VALIDATION ----------------------------------------
 
-// Create a feature collection with the training samples created above
-var trainingFeatures= ee.FeatureCollection([
-    denseveg, water, developed, grass
-    ]).flatten();
+// Load the training samples from the asset
+var trainingFeatures = ee.FeatureCollection(trainingAsset);
+print('Training samples:', trainingAsset, trainingFeatures.size());
+
+// Per-class sample counts of the class schema
+var classCounts = ee.FeatureCollection(classSchema.map(function(c){
+  return ee.Feature(null, {
+    'class': c.value,
+    'name': c.name,
+    'samples': trainingFeatures.filter(ee.Filter.eq(classProperty, c.value)).size()
+  });
+}));
+print('Training samples per class', ui.Chart.feature.byFeature(classCounts, 'class', ['name', 'samples'])
+  .setChartType('Table'));
+
+// Classes of the schema without samples and class values not in the schema
+var sampleClasses = ee.List(trainingFeatures.aggregate_array(classProperty)).distinct();
+print('Classes without training samples:', ee.List(classLabels).removeAll(sampleClasses));
+print('Class values not in the class schema:', sampleClasses.removeAll(classLabels));
+
+// Samples outside the image footprint or the area of interest
+var footprint = maskedImage.geometry();
+var outsideFootprint = trainingFeatures.filter(ee.Filter.bounds(footprint).not());
+var outsideAoi = trainingFeatures.filter(ee.Filter.bounds(aoi).not());
+print('Training samples outside the image footprint:', outsideFootprint.size());
+print('Training samples outside the area of interest:', outsideAoi.size());
+
+// Duplicated samples (same location and class) and conflicting samples (same location, different class)
+var uniqueSamples = trainingFeatures.distinct(['.geo', classProperty]);
+print('Duplicated training samples:', trainingFeatures.size().subtract(uniqueSamples.size()));
+print('Conflicting training samples:', uniqueSamples.size().subtract(uniqueSamples.distinct(['.geo']).size()));
+
+// Train only with the unique samples of the schema classes inside the footprint and the area of interest
+trainingFeatures = uniqueSamples
+  .filter(ee.Filter.inList(classProperty, classLabels))
+  .filterBounds(footprint)
+  .filterBounds(aoi);
+print('Training samples used:', trainingFeatures.size());
+
+
+//-------------------- SUPERVISED CLASSIFICATION ----------------------------------------
   
-var predictionBands=[
-  'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8','B11','B12','NDVI', 'NDWI'];
+var predictionBands=
+  sensors.bandNames(sensor).concat(['NDVI', 'NDWI']);
     
 var classifierTraining= sentinelWithIndices.select(predictionBands)
     .sampleRegions({
       collection: trainingFeatures,
-      properties: ['class'],
+      properties: [classProperty],
       scale: 10
 });
     
-var classvis = { min: 0, max: 3, palette: ['green','blue','pink','brown']};
+var classvis = { min: Math.min.apply(null, classLabels), max: Math.max.apply(null, classLabels), palette: classColors};
 
 //-------------------- CART CLASSIFIER ----------------------------------------
 
 // Train Classification and Regression Trees (CART) Classifier
 var Cartclassifier = ee.Classifier.smileCart().train({
     features: classifierTraining,
-    classProperty: 'class',
+    classProperty: classProperty,
     inputProperties: predictionBands
   });
 
@@ -657,7 +197,7 @@ Map.addLayer(Cartclassified, classvis, 'CART classified', 0);
 // Train Random Forest Classifier
 var RFclassifier = ee.Classifier.smileRandomForest(50).train({ 
     features: classifierTraining, 
-    classProperty: 'class', 
+    classProperty: classProperty, 
     inputProperties: predictionBands 
   });
  
@@ -672,7 +212,7 @@ Map.addLayer(RFclassified, classvis, 'RF classified', 0);
 // Train Support Vector Machine (SVM) Classifier
 var SVMclassifier =  ee.Classifier.libsvm().train({
     features: classifierTraining, 
-    classProperty: 'class', 
+    classProperty: classProperty, 
     inputProperties: predictionBands
     });
 
@@ -685,10 +225,26 @@ Map.addLayer(SVMclassified, classvis, 'SVM classified', 0);
 
 //--------------------ACCURACY AND CONFUSION MATRIX------------------------------------
   
-// Split data into training and testing sets
-var trainingTesting= classifierTraining.randomColumn();
-var trainingSet = trainingTesting.filter(ee.Filter.lessThan('random',0.7));
-var testingSet = trainingTesting.filter(ee.Filter.greaterThanOrEquals('random',0.7));
+// Shuffle the samples of each class with the seed and record their position in the class:
+// 'rank' from 0 to 1 for the training/testing split and 'fold' for the cross-validation
+function stratify(samples){
+  return ee.FeatureCollection(classLabels.map(function(label){
+    var classSamples = samples.filter(ee.Filter.eq(classProperty, label))
+      .randomColumn('random', seed)
+      .sort('random');
+    var count = classSamples.size();
+    var list = classSamples.toList(count);
+    return ee.FeatureCollection(ee.List.sequence(0, null, 1, count).map(function(i){
+      return ee.Feature(list.get(i))
+        .set('rank', ee.Number(i).divide(count), 'fold', ee.Number(i).mod(folds));
+    }));
+  })).flatten();
+}
+
+// Split data into training and testing sets, 70/30 within each class
+var trainingTesting= stratify(classifierTraining);
+var trainingSet = trainingTesting.filter(ee.Filter.lessThan('rank',0.7));
+var testingSet = trainingTesting.filter(ee.Filter.greaterThanOrEquals('rank',0.7));
 
 // Print the training and testing sets
 print('Training and Testing Features', trainingTesting);
@@ -698,14 +254,14 @@ print('Testing Set', testingSet);
 // Train CART Classifier with training set----------------------------------------
 var CAclassifier = ee.Classifier.smileCart().train({
     features: trainingSet,
-    classProperty: 'class',
+    classProperty: classProperty,
     inputProperties: predictionBands
 });
 
 // Classify and get confusion matrix for CART classifier
 var CAconfusionMatrix = testingSet.classify(CAclassifier) 
     .errorMatrix({ 
-    actual: 'class', 
+    actual: classProperty, 
     predicted: 'classification' 
     });
 
@@ -720,14 +276,14 @@ print('CART Kappa:', CAconfusionMatrix.kappa());
 // Train RF Classifier with training set----------------------------------------
 var RFAclassifier = ee.Classifier.smileRandomForest(50).train({
 features: trainingSet,
-classProperty: 'class',
+classProperty: classProperty,
 inputProperties: predictionBands
 });
 
 // Classify and get confusion matrix for RF classifier
 var RFconfusionMatrix = testingSet.classify(RFAclassifier) 
     .errorMatrix({ 
-    actual: 'class', 
+    actual: classProperty, 
     predicted: 'classification' 
     });
 
@@ -742,14 +298,14 @@ print('RF Kappa:', RFconfusionMatrix.kappa());
 // Train SVM Classifier with training set----------------------------------------
 var SVMAclassifier = ee.Classifier.libsvm().train({
 features: trainingSet,
-classProperty: 'class',
+classProperty: classProperty,
 inputProperties: predictionBands
 });
 
 // Classify and get confusion matrix for SVM classifier
 var SVMconfusionMatrix = testingSet.classify(SVMAclassifier) 
     .errorMatrix({ 
-    actual: 'class', 
+    actual: classProperty, 
     predicted: 'classification' 
 });
 
@@ -761,22 +317,123 @@ print('SVM Consumers Accuracy:', SVMconfusionMatrix.consumersAccuracy());
 print('SVM Kappa:', SVMconfusionMatrix.kappa());
 
 
+//--------------------STRATIFIED K-FOLD CROSS-VALIDATION------------------------------------
+
+// Each fold in turn is the testing set of the classifier trained on the other folds
+var classifiers = [
+  ['CART', function(){ return ee.Classifier.smileCart(); }],
+  ['RF', function(){ return ee.Classifier.smileRandomForest(50); }],
+  ['SVM', function(){ return ee.Classifier.libsvm(); }]
+];
+
+var foldResults = [];
+classifiers.forEach(function(entry){
+  for (var fold = 0; fold < folds; fold++) {
+    var foldClassifier = entry[1]().train({
+      features: trainingTesting.filter(ee.Filter.neq('fold', fold)),
+      classProperty: classProperty,
+      inputProperties: predictionBands
+    });
+    var foldMatrix = trainingTesting.filter(ee.Filter.eq('fold', fold)).classify(foldClassifier)
+      .errorMatrix(classProperty, 'classification', classLabels);
+
+    var result = ee.Feature(null, {
+      'classifier': entry[0],
+      'fold': fold,
+      'accuracy': foldMatrix.accuracy(),
+      'kappa': foldMatrix.kappa()
+    });
+    // Producers and consumers accuracy of each class, in the order of the class labels
+    classNames.forEach(function(name, index){
+      result = result.set(
+        'PA ' + name, foldMatrix.producersAccuracy().get([index, 0]),
+        'CA ' + name, foldMatrix.consumersAccuracy().get([0, index]));
+    });
+    foldResults.push(result);
+  }
+});
+foldResults = ee.FeatureCollection(foldResults);
+
+// Mean and standard deviation of each metric over the folds
+var cvMetrics = ['accuracy', 'kappa'];
+classNames.forEach(function(name){
+  cvMetrics.push('PA ' + name, 'CA ' + name);
+});
+
+var cvSummary = ee.FeatureCollection(classifiers.map(function(entry){
+  var results = foldResults.filter(ee.Filter.eq('classifier', entry[0]));
+  var summary = ee.Feature(null, {'classifier': entry[0]});
+  cvMetrics.forEach(function(metric){
+    summary = summary.set(
+      metric + ' mean', results.aggregate_mean(metric),
+      metric + ' std', results.aggregate_sample_sd(metric));
+  });
+  return summary;
+}));
+
+var cvColumns = [];
+cvMetrics.forEach(function(metric){
+  cvColumns.push(metric + ' mean', metric + ' std');
+});
+print(folds + '-fold cross-validation (seed ' + seed + ')', ui.Chart.feature.byFeature(cvSummary, 'classifier',
+  cvColumns).setChartType('Table'));
+
+// Export the results of each fold
+Export.table.toDrive({
+  collection: foldResults,
+  description: 'classify_CrossValidation_Folds',
+  folder: 'ee_demos',
+  fileFormat: 'CSV',
+});
+
+//--------------------BEST CLASSIFIER SELECTION------------------------------------
+
+// Compare the classifiers on the testing set and rank them by the selection metric
+var classifierComparison = ee.FeatureCollection([
+  ['CART', CAconfusionMatrix], ['RF', RFconfusionMatrix], ['SVM', SVMconfusionMatrix]
+].map(function(entry){
+  return ee.Feature(null, {
+    'classifier': entry[0],
+    'kappa': entry[1].kappa(),
+    'accuracy': entry[1].accuracy(),
+    'f1': ee.Array(entry[1].fscore()).get([developedClass])
+  });
+})).sort(selectionMetric, false);
+
+print('Classifiers ranked by ' + selectionMetric, ui.Chart.feature.byFeature(classifierComparison, 'classifier',
+  ['kappa', 'accuracy', 'f1']).setChartType('Table'));
+
+// The best classifier drives the vectorized and exported classes
+var best = classifierComparison.first();
+var bestClassifier = ee.String(best.get('classifier'));
+var bestClassified = ee.Image(ee.Dictionary({
+  'CART': Cartclassified,
+  'RF': RFclassified,
+  'SVM': SVMclassified
+}).get(bestClassifier));
+
+print(ee.String('Best classifier: ').cat(bestClassifier)
+  .cat(', highest ' + selectionMetric + ' on the testing set (')
+  .cat(ee.Number(best.get(selectionMetric)).format('%.3f')).cat(')'));
+Map.addLayer(bestClassified, classvis, 'Best classified', 0);
+
+
 //-------------------- VECTORIZATION ----------------------------------------
 
-// Clip classified image to AOI
-var ClassAoi= RFclassified.clip(aoi);
+// Record the Sentinel-2 product level used on each exported polygon
+function labelProductLevel(feature){
+  return feature.set('product_level', productLevel);
+}
 
-// Classification class labels, names, and colors
-var classLabels = [0, 1, 2, 3]; 
-var classNames = ['dense vegetation', 'water', 'developed', 'grass']; 
-var classColors = ['green', 'blue', 'pink', 'brown'];
+// Clip the classified image of the best classifier to AOI
+var ClassAoi= bestClassified.clip(aoi);
 
 // Loop through each class and create a polygon for each class
 classLabels.forEach(function(classLabel, index) {
   
   // Mask the pixels that belong to the current class
   var classMaskedImage = ClassAoi.eq(classLabel)
-    .updateMask(RFclassified.eq(classLabel));
+    .updateMask(bestClassified.eq(classLabel));
  
  // Convert the masked image into polygons   
   var classPolygons = classMaskedImage.eq(classLabel)  
@@ -789,7 +446,7 @@ classLabels.forEach(function(classLabel, index) {
   
   // Set the name of the class for each polygon
   classPolygons = classPolygons.map(function(feature) {
-    return feature.set('class_name', classNames[index]);
+    return feature.set('class_name', classNames[index], 'classifier', bestClassifier);
   });
 
   // Visualize the polygons for the class
@@ -797,7 +454,7 @@ classLabels.forEach(function(classLabel, index) {
 
   //Export
   Export.table.toDrive({
-    collection: classPolygons,
+    collection: classPolygons.map(labelProductLevel),
     description: classNames[index] + '_ClassPolygon',
     folder: 'ee_demos',
     fileFormat: 'GeoJSON',
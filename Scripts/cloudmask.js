@@ -0,0 +1,134 @@
+// Shared Sentinel-2 Cloud and Shadow Masking Module for Google Earth Engine
+
+//---------------------NOTES-------------------------------------------------------------------//
+// This module:
+// 1. Masks clouds and cloud shadows from a Sentinel-2 image collection using one of:
+//    - 'QA60': bit 10 (opaque clouds) and bit 11 (cirrus) of the QA60 band
+//    - 's2cloudless': cloud probability from COPERNICUS/S2_CLOUD_PROBABILITY, with cloud shadows
+//      projected from the clouds along the solar azimuth onto dark NIR pixels
+//    - 'cloudscore': Cloud Score+ (GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED)
+// 2. Dilates the cloud and shadow mask by a configurable buffer.
+//    For surface reflectance (L2A) images the Scene Classification (SCL) band can additionally mask
+//    no data, saturated/defective, cloud shadow, cloud, cirrus and snow pixels.
+// 3. Is loaded by sensors.js, which is shared by veg.js, soil.js, water.js and classify.js, with require(), e.g.
+//    var cloudmask = require('users/<username>/HydroecologicalRiparianZone:Scripts/cloudmask');
+// 4. Uses examples from Google Earth Engine Help Documentation
+//-----------------------------------------------------------------------------------------------//
+
+// Default options, any option can be overridden by the calling script
+var defaults = {
+  method: 'QA60',
+  cloudProbability: 50,        // s2cloudless: cloud probability (%) above which a pixel is cloud
+  cloudScore: 0.6,             // Cloud Score+: 'cs' score below which a pixel is cloud
+  nirDarkThreshold: 0.15,      // s2cloudless: NIR reflectance below which a pixel may be shadow
+  cloudProjectDistance: 1,     // s2cloudless: maximum distance (km) to search for shadows from clouds
+  buffer: 0,                   // Dilation of the cloud and shadow mask in meters, 0 for none
+  scl: false,                  // L2A only: additionally mask by the SCL band
+  region: null                 // s2cloudless: region of the collection, its footprint if not set
+};
+
+// SCL classes masked: 0 no data, 1 saturated/defective, 3 cloud shadow,
+// 8 cloud medium probability, 9 cloud high probability, 10 cirrus, 11 snow/ice
+var sclMasked = [0, 1, 3, 8, 9, 10, 11];
+
+// Merge the options of the calling script with the defaults
+function withDefaults(options) {
+  var merged = {};
+  options = options || {};
+  Object.keys(defaults).forEach(function(key) {
+    merged[key] = options[key] !== undefined ? options[key] : defaults[key];
+  });
+  return merged;
+}
+
+// Dilate a cloud/shadow mask by the buffer distance
+function dilate(mask, buffer) {
+  return buffer > 0 ? mask.focalMax(buffer, 'circle', 'meters') : mask;
+}
+
+// QA60 ---------------------------------------------------------------------------
+function maskQA60(collection, opts) {
+  return collection.map(function(image) {
+    var qa = image.select('QA60');
+    var cloudBit = 10;
+    var cirrusBit = 11;
+    var clouds = qa.bitwiseAnd(Math.pow(2, cloudBit)).neq(0);
+    var cirrus = qa.bitwiseAnd(Math.pow(2, cirrusBit)).neq(0);
+    var cloudy = dilate(clouds.or(cirrus), opts.buffer);
+    return image.updateMask(cloudy.not());
+  });
+}
+
+// s2cloudless --------------------------------------------------------------------
+function maskS2Cloudless(collection, opts) {
+  // Join the cloud probability image of each scene by its system:index, within the region
+  // and date range of the collection
+  var range = collection.reduceColumns(ee.Reducer.minMax(), ['system:time_start']);
+  var probability = ee.ImageCollection('COPERNICUS/S2_CLOUD_PROBABILITY')
+    .filterBounds(opts.region || collection.geometry())
+    .filterDate(ee.Date(range.get('min')), ee.Date(range.get('max')).advance(1, 'day'));
+  var joined = ee.ImageCollection(ee.Join.saveFirst('s2cloudless').apply({
+    primary: collection,
+    secondary: probability,
+    condition: ee.Filter.equals({leftField: 'system:index', rightField: 'system:index'})
+  }));
+
+  return joined.map(function(image) {
+    var clouds = ee.Image(image.get('s2cloudless')).select('probability').gt(opts.cloudProbability);
+
+    // Dark NIR pixels that are not water are potential shadows
+    var notWater = image.normalizedDifference(['B3', 'B8']).lt(0);
+    var darkPixels = image.select('B8').lt(opts.nirDarkThreshold * 10000).and(notWater);
+
+    // Project the clouds along the solar azimuth to find where their shadows fall
+    var shadowAzimuth = ee.Number(90).subtract(ee.Number(image.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
+    var cloudProjection = clouds.directionalDistanceTransform(shadowAzimuth, opts.cloudProjectDistance * 10)
+      .reproject({crs: image.select(0).projection(), scale: 100})
+      .select('distance')
+      .mask();
+    var shadows = cloudProjection.and(darkPixels);
+
+    // Remove small cloud/shadow patches and dilate the remaining ones
+    var cloudy = clouds.or(shadows).focalMin(2);
+    cloudy = dilate(cloudy, opts.buffer)
+      .reproject({crs: image.select(0).projection(), scale: 20});
+    return image.updateMask(cloudy.not());
+  });
+}
+
+// Cloud Score+ -------------------------------------------------------------------
+function maskCloudScore(collection, opts) {
+  var csPlus = ee.ImageCollection('GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED');
+  return collection.linkCollection(csPlus, ['cs']).map(function(image) {
+    var cloudy = dilate(image.select('cs').lt(opts.cloudScore), opts.buffer);
+    return image.updateMask(cloudy.not()).select(image.bandNames().remove('cs'));
+  });
+}
+
+// SCL ----------------------------------------------------------------------------
+function maskSCL(collection) {
+  return collection.map(function(image) {
+    var scl = image.select('SCL');
+    var masked = scl.remap(sclMasked, ee.List.repeat(1, sclMasked.length), 0);
+    return image.updateMask(masked.not());
+  });
+}
+
+// Mask clouds and shadows from each image of a Sentinel-2 collection by the selected method
+function maskClouds(collection, options) {
+  var opts = withDefaults(options);
+  if (opts.scl) {
+    collection = maskSCL(collection);
+  }
+  if (opts.method == 's2cloudless') {
+    return maskS2Cloudless(collection, opts);
+  }
+  if (opts.method == 'cloudscore') {
+    return maskCloudScore(collection, opts);
+  }
+  return maskQA60(collection, opts);
+}
+
+exports.defaults = defaults;
+exports.dilate = dilate;
+exports.maskClouds = maskClouds;
@@ -40,22 +40,408 @@ var before_end = '2023-06-29';
 var after_start = '2023-11-01';
 var after_end = '2023-11-08';
 
+// Set auto_dates to true to replace the dates above with windows proposed from CHIRPS daily precipitation:
+// the wettest post-rain window (highest antecedent precipitation) and the driest window before it sharing
+// a relative orbit with it, both with Sentinel-1 coverage
+var auto_dates = false;
+var precip_search_start = '2023-01-01';
+var precip_search_end = '2023-12-31';
+var window_days = 10;        // Length of the candidate windows in days
+var antecedent_days = 5;     // Days of precipitation preceding a window
+
+// Set the multi-year range and the dry and wet season months used for the flood recurrence
+// Every wet season acquisition is compared to the dry season mean of the same relative orbit
+// The backscatter decrease rule applies to VV or VH only, the mode is skipped for the VV/VH ratio
+var recurrence_mode = false;
+var recurrence_start = '2019-01-01';
+var recurrence_end = '2023-12-31';
+var dry_start_month = 6;          // June
+var dry_end_month = 8;            // August
+var wet_start_month = 10;         // October
+var wet_end_month = 3;            // March of the following year
+var recurrence_change_db = -3;    // Backscatter decrease (dB) below which a pixel is flooded
+var frequency_classes = [10, 25, 50];   // Percent of wet season observations flooded
+
 //Set SAR Parameters
+// Polarization: 'VV', 'VH', or 'VV/VH' for the ratio of both polarizations
 var polarization = 'VH';
+// Pass direction: 'ASCENDING', 'DESCENDING', or 'BOTH' to fuse ascending and descending passes
 var pass_direction = 'ASCENDING';
+var pass_directions = pass_direction == 'BOTH' ? ['ASCENDING', 'DESCENDING'] : [pass_direction];
+
+//Set Flooded Vegetation Parameters
+// Flooding under the canopy raises VV backscatter through double bounce, flagged where the
+// after/before VV increase exceeds fv_increase_db inside vegetated pixels
+// 'worldcover': tree cover and mangroves of ESA WorldCover, 'ndvi': Sentinel-2 median NDVI above fv_min_ndvi
+var fv_increase_db = 3;
+var fv_vegetation_mask = 'worldcover';
+var fv_min_ndvi = 0.6;
+var fv_ndvi_start = '2023-06-01';
+var fv_ndvi_end = '2023-08-31';
+
+//Set Radiometric Correction Parameters
+// 'none': S1 GRD sigma0 used as-is
+// 'flatten': angular-based radiometric slope correction with NASADEM (volume model, Vollrath et al. 2020),
+// pixels in layover and shadow are masked
+var terrain_correction = 'none';
+// Normalize backscatter to a reference incidence angle (degrees)
+var incidence_normalization = false;
+var reference_angle = 38;
+
+//Set Validation Parameters
+// Reference FeatureCollection asset, e.g. 'users/<username>/high_water_marks', set to null to skip validation
+// 'polygons': flood extent polygons (digitized high-water marks, optical flood map), stratified
+// samples of water and non-water pixels are drawn from them
+// 'points': water/non-water sample points carrying reference_property (1: water, 0: non-water)
+var reference_asset = null;
+var reference_type = 'polygons';
+var reference_property = 'water';
+var validation_points = 500;      // Samples per class drawn from reference polygons
+
+//Set Thresholding Parameters
+// 'ksigma': Threshold = Mean + k * Standard Deviation, k Coefficients adopted from Hamidi et al. 2022
+// 'otsu': Otsu threshold derived from the histogram of the normalized index over the aoi
+// 'split_otsu': Otsu threshold derived from the histogram of tiles with a bimodal distribution
+var threshold_method = 'ksigma';
+var tile_size = 1000;      // Tile size in meters used by 'split_otsu'
+var bimodal_bmax = 0.75;   // Minimum BMax coefficient for a tile to be considered bimodal
+
+//Set Terrain Masking Parameters
+// 'slope': keep flood pixels with slope below max_slope (NASADEM)
+// 'hand': keep flood pixels with Height Above Nearest Drainage below max_hand
+// 'both': keep flood pixels that satisfy both rules
+var terrain_mask_method = 'slope';
+var max_slope = 5;         // Slope in degrees
+var max_hand = 15;         // Height Above Nearest Drainage in meters
+// HAND is read from MERIT Hydro unless a HAND raster asset is set, e.g. 'users/<username>/lidar_hand',
+// or is derived from a DEM asset, e.g. 'users/<username>/lidar_dem'
+var hand_asset = null;
+var hand_dem_asset = null;
+var drainage_min_upa = 1;      // MERIT Hydro upstream area (km2) of the drainage pixels of the DEM
+var drainage_search = 1000;    // Distance in meters from the drainage within which HAND is derived
+var drainage_steps = 10;       // Focal steps spreading the drainage elevation over drainage_search
+
+//Set Speckle Filter Parameters
+// 'focal_median': focal median applied to the composites and to each index
+// 'refined_lee', 'gamma_map', 'lee_sigma': applied to each image before the composites are built
+// 'quegan': multi-temporal filter applied over the before and after collections
+var speckle_filter = 'focal_median';
+var speckle_kernel = 3;    // Kernel size in pixels (Refined Lee uses its fixed 7x7 directional windows)
+var speckle_label = speckle_filter + '_' + (speckle_filter == 'refined_lee' ? 7 : speckle_kernel)
+  + 'x' + (speckle_filter == 'refined_lee' ? 7 : speckle_kernel);
+
+// Band name used by all reductions and outputs, e.g. 'VV_VH' for the ratio
+var band = polarization.replace('/', '_');
+var required_polarizations = polarization == 'VV/VH' ? ['VV', 'VH'] : [polarization];
+
+// A fixed backscatter decrease is not a flood signal in the VV/VH ratio, so recurrence is VV or VH only
+if (recurrence_mode && band == 'VV_VH') {
+  print('Flood recurrence is not available for the VV/VH ratio, set polarization to VV or VH');
+  recurrence_mode = false;
+}
+
+// Select the predefined polarization as a single band named after it
+// The VV/VH ratio is computed as VV - VH since the S1 GRD bands are in dB
+function select_polarization(image){
+  if (polarization == 'VV/VH') {
+    var ratio = image.select('VV').subtract(image.select('VH')).rename(band);
+    return image.addBands(ratio).select(band);
+  }
+  return image.select(polarization);
+}
+
+//-- SPECKLE FILTER FUNCTIONS ------------------------------------------------//
+// All filters are applied to a single band image in linear power scale
+// Filters adapted from Mullissa et al. 2021, Sentinel-1 SAR Backscatter Analysis Ready Data Preparation in Google Earth Engine
+
+// Local mean within a square kernel of speckle_kernel pixels
+function boxcar(image){
+  return image.reduceNeighborhood({
+    reducer: ee.Reducer.mean(),
+    kernel: ee.Kernel.square(speckle_kernel / 2, 'pixels'),
+    optimization: 'window'
+    });
+}
+
+// Refined Lee (Lee et al. 1999): MMSE filter over the most homogeneous of 8 directional 7x7 windows
+function refined_lee(image){
+  var kernel3 = ee.Kernel.square(1, 'pixels');
+  var mean3 = image.reduceNeighborhood(ee.Reducer.mean(), kernel3);
+  var variance3 = image.reduceNeighborhood(ee.Reducer.variance(), kernel3);
+
+  // Means and variances of the 3x3 windows sampled within a 7x7 window
+  var sample_weights = ee.List([[0,0,0,0,0,0,0], [0,1,0,1,0,1,0], [0,0,0,0,0,0,0],
+    [0,1,0,1,0,1,0], [0,0,0,0,0,0,0], [0,1,0,1,0,1,0], [0,0,0,0,0,0,0]]);
+  var sample_kernel = ee.Kernel.fixed(7, 7, sample_weights, 3, 3, false);
+  var sample_mean = mean3.neighborhoodToBands(sample_kernel);
+  var sample_var = variance3.neighborhoodToBands(sample_kernel);
+
+  // Direction of the strongest gradient
+  var gradients = sample_mean.select(1).subtract(sample_mean.select(7)).abs()
+    .addBands(sample_mean.select(6).subtract(sample_mean.select(2)).abs())
+    .addBands(sample_mean.select(3).subtract(sample_mean.select(5)).abs())
+    .addBands(sample_mean.select(0).subtract(sample_mean.select(8)).abs());
+  var gradmask = gradients.eq(gradients.reduce(ee.Reducer.max()));
+  gradmask = gradmask.addBands(gradmask);
+
+  var directions = sample_mean.select(1).subtract(sample_mean.select(4))
+      .gt(sample_mean.select(4).subtract(sample_mean.select(7))).multiply(1)
+    .addBands(sample_mean.select(6).subtract(sample_mean.select(4))
+      .gt(sample_mean.select(4).subtract(sample_mean.select(2))).multiply(2))
+    .addBands(sample_mean.select(3).subtract(sample_mean.select(4))
+      .gt(sample_mean.select(4).subtract(sample_mean.select(5))).multiply(3))
+    .addBands(sample_mean.select(0).subtract(sample_mean.select(4))
+      .gt(sample_mean.select(4).subtract(sample_mean.select(8))).multiply(4));
+  directions = directions
+    .addBands(directions.select(0).not().multiply(5))
+    .addBands(directions.select(1).not().multiply(6))
+    .addBands(directions.select(2).not().multiply(7))
+    .addBands(directions.select(3).not().multiply(8));
+  directions = directions.updateMask(gradmask).reduce(ee.Reducer.sum());
+
+  // Speckle noise variance estimated from the 5 most homogeneous 3x3 windows
+  var sample_stats = sample_var.divide(sample_mean.multiply(sample_mean));
+  var sigmaV = sample_stats.toArray().arraySort().arraySlice(0, 0, 5).arrayReduce(ee.Reducer.mean(), [0]);
+
+  // Mean and variance within the directional window
+  var rect_weights = ee.List.repeat(ee.List.repeat(0, 7), 3).cat(ee.List.repeat(ee.List.repeat(1, 7), 4));
+  var diag_weights = ee.List([[1,0,0,0,0,0,0], [1,1,0,0,0,0,0], [1,1,1,0,0,0,0],
+    [1,1,1,1,0,0,0], [1,1,1,1,1,0,0], [1,1,1,1,1,1,0], [1,1,1,1,1,1,1]]);
+  var rect_kernel = ee.Kernel.fixed(7, 7, rect_weights, 3, 3, false);
+  var diag_kernel = ee.Kernel.fixed(7, 7, diag_weights, 3, 3, false);
+
+  var dir_mean = image.reduceNeighborhood(ee.Reducer.mean(), rect_kernel).updateMask(directions.eq(1))
+    .addBands(image.reduceNeighborhood(ee.Reducer.mean(), diag_kernel).updateMask(directions.eq(2)));
+  var dir_var = image.reduceNeighborhood(ee.Reducer.variance(), rect_kernel).updateMask(directions.eq(1))
+    .addBands(image.reduceNeighborhood(ee.Reducer.variance(), diag_kernel).updateMask(directions.eq(2)));
+  for (var i = 1; i < 4; i++) {
+    dir_mean = dir_mean
+      .addBands(image.reduceNeighborhood(ee.Reducer.mean(), rect_kernel.rotate(i)).updateMask(directions.eq(2 * i + 1)))
+      .addBands(image.reduceNeighborhood(ee.Reducer.mean(), diag_kernel.rotate(i)).updateMask(directions.eq(2 * i + 2)));
+    dir_var = dir_var
+      .addBands(image.reduceNeighborhood(ee.Reducer.variance(), rect_kernel.rotate(i)).updateMask(directions.eq(2 * i + 1)))
+      .addBands(image.reduceNeighborhood(ee.Reducer.variance(), diag_kernel.rotate(i)).updateMask(directions.eq(2 * i + 2)));
+  }
+  dir_mean = dir_mean.reduce(ee.Reducer.sum());
+  dir_var = dir_var.reduce(ee.Reducer.sum());
+
+  // MMSE estimate
+  var varX = dir_var.subtract(dir_mean.multiply(dir_mean).multiply(sigmaV)).divide(sigmaV.add(1.0));
+  var b = varX.divide(dir_var);
+  return dir_mean.add(b.multiply(image.subtract(dir_mean))).arrayFlatten([['sum']]);
+}
+
+// Gamma-MAP (Lopes et al. 1990): maximum a posteriori estimate assuming Gamma distributed scene and speckle
+function gamma_map(image){
+  var enl = 5;
+  var stats = image.reduceNeighborhood({
+    reducer: ee.Reducer.mean().combine({reducer2: ee.Reducer.stdDev(), sharedInputs: true}),
+    kernel: ee.Kernel.square(speckle_kernel / 2, 'pixels'),
+    optimization: 'window'
+    });
+  var z = stats.select(0);
+  var ci = stats.select(1).divide(z);
+  var cu = 1.0 / Math.sqrt(enl);
+  var cmax = Math.sqrt(2.0) * cu;
+
+  var alpha = ee.Image.constant(1 + cu * cu).divide(ci.pow(2).subtract(cu * cu));
+  var q = image.expression('z**2 * (alpha - enl - 1)**2 + 4 * alpha * enl * i * z',
+    {z: z, alpha: alpha, enl: enl, i: image});
+  var rHat = z.multiply(alpha.subtract(enl).subtract(1)).add(q.sqrt()).divide(alpha.multiply(2));
+
+  // Homogeneous areas take the local mean, heterogeneous areas the MAP estimate,
+  // point targets keep their original value
+  var zHat = z.updateMask(ci.lte(cu));
+  rHat = rHat.updateMask(ci.gt(cu)).updateMask(ci.lt(cmax));
+  var x = image.updateMask(ci.gte(cmax));
+  return ee.ImageCollection([zHat.rename('b'), rHat.rename('b'), x.rename('b')]).sum();
+}
+
+// Lee Sigma (Lee et al. 2009): MMSE filter over the pixels within the sigma range of an a priori mean,
+// bright point targets are retained
+function lee_sigma(image){
+  var enl = 4;
+  var eta = 1.0 / Math.sqrt(enl);
+  var reducers = ee.Reducer.mean().combine({reducer2: ee.Reducer.variance(), sharedInputs: true});
+
+  // Retain strong scatterers: pixels above the 98th percentile with at least 7 bright neighbours in 3x3
+  var z98 = ee.Number(image.reduceRegion({
+    reducer: ee.Reducer.percentile([98]),
+    geometry: aoi,
+    scale: 10,
+    maxPixels: 1e13
+    }).values().get(0));
+  var bright = image.gte(z98);
+  var retain = bright.reduceNeighborhood(ee.Reducer.sum(), ee.Kernel.square(1, 'pixels')).gte(7);
+
+  // A priori mean from an MMSE estimate within a 3x3 window
+  var stats = image.reduceNeighborhood({reducer: reducers, kernel: ee.Kernel.square(1, 'pixels'), optimization: 'window'});
+  var z_bar = stats.select(0);
+  var varz = stats.select(1);
+  var varx = varz.subtract(z_bar.pow(2).multiply(eta * eta)).divide(1 + eta * eta);
+  var b = varx.divide(varz);
+  var xTilde = ee.Image(1).subtract(b).multiply(z_bar).add(b.multiply(image));
+
+  // Sigma range for sigma = 0.9 and 4 looks from the lookup table of Lee et al. 2009
+  var I1 = xTilde.multiply(0.378);
+  var I2 = xTilde.multiply(2.094);
+  var nEta = 0.3991;
+
+  // MMSE estimate from the pixels within the sigma range
+  var z = image.updateMask(image.gte(I1).and(image.lte(I2)));
+  stats = z.reduceNeighborhood({
+    reducer: reducers,
+    kernel: ee.Kernel.square(speckle_kernel / 2, 'pixels'),
+    optimization: 'window'
+    });
+  z_bar = stats.select(0);
+  varz = stats.select(1);
+  varx = varz.subtract(z_bar.pow(2).multiply(nEta * nEta)).divide(1 + nEta * nEta);
+  b = varx.divide(varz);
+  b = b.where(b.lt(0), 0);
+  var xHat = ee.Image(1).subtract(b).multiply(z_bar).add(b.multiply(image));
+  return image.updateMask(retain).unmask(xHat);
+}
+
+// Quegan multi-temporal filter (Quegan & Yu 2001): local mean of each image multiplied by
+// the temporal mean of the ratios between each image and its local mean
+function quegan(imgcol){
+  var ratio_mean = imgcol.map(function(image){
+    return image.divide(boxcar(image));
+    }).mean();
+  return imgcol.map(function(image){
+    return image.addBands(boxcar(image).multiply(ratio_mean).rename(image.bandNames()), null, true);
+  });
+}
+
+// Apply the predefined speckle filter to each polarization band of a collection in dB
+// 'focal_median' is applied to the composites and indices instead, see speckle_filter_index
+function speckle_filter_collection(imgcol, polarizations){
+  polarizations = polarizations || required_polarizations;
+  if (speckle_filter == 'focal_median') {
+    return imgcol;
+  }
+  var linear = imgcol.map(function(image){
+    return image.addBands(ee.Image(10).pow(image.divide(10)).rename(image.bandNames()), null, true);
+  });
+  var filtered = speckle_filter == 'quegan' ? quegan(linear) : linear.map(function(image){
+    var filter = {'refined_lee': refined_lee, 'gamma_map': gamma_map, 'lee_sigma': lee_sigma}[speckle_filter];
+    var bands = polarizations.map(function(pol){
+      return filter(image.select(pol)).rename(pol);
+    });
+    return image.addBands(ee.Image.cat(bands), null, true);
+  });
+  return filtered.map(function(image){
+    return image.addBands(image.log10().multiply(10), null, true);
+  });
+}
+
+// Reduce the radar speckle of a composite or index by focal median smoothing,
+// only when 'focal_median' is the predefined speckle filter
+function speckle_filter_index(image){
+  if (speckle_filter == 'focal_median') {
+    return image.focalMedian(speckle_kernel * 10 / 2, 'square', 'meters');
+  }
+  return image;
+}
+
+//-- RADIOMETRIC CORRECTION FUNCTIONS ------------------------------------------------//
+var correction_dem = ee.Image("NASA/NASADEM_HGT/001").select('elevation');
+
+// Radiometric slope correction and incidence angle normalization of the polarization bands (dB),
+// using the 'angle' band of each S1 GRD image. Flattened gamma0 no longer depends on the incidence
+// angle of a flat surface and is normalized as sigma0 = gamma0 * cos(reference), otherwise sigma0 is
+// normalized by the cosine-squared law sigma0_ref = sigma0 * cos²(reference) / cos²(incidence)
+function radiometric_correction(image){
+  var bands = image.bandNames().remove('angle');
+  if (terrain_correction == 'none' && !incidence_normalization) {
+    return image.select(bands);
+  }
+  var theta_i = image.select('angle').multiply(Math.PI / 180);
+  var reference = reference_angle * Math.PI / 180;
+  var sigma0 = ee.Image(10).pow(image.select(bands).divide(10));
+  var corrected = sigma0;
+
+  if (terrain_correction == 'flatten') {
+    // Azimuth of the range direction from the gradient of the incidence angle over the image footprint
+    var phi_i = ee.Terrain.aspect(image.select('angle'))
+      .reduceRegion(ee.Reducer.mean(), image.geometry(), 1000)
+      .get('aspect');
+    var alpha_s = ee.Terrain.slope(correction_dem).multiply(Math.PI / 180);
+    var phi_r = ee.Image.constant(phi_i).subtract(ee.Terrain.aspect(correction_dem)).multiply(Math.PI / 180);
+    var ninety = ee.Image.constant(Math.PI / 2);
+
+    // Terrain slope in range direction and volume scattering model
+    var alpha_r = alpha_s.tan().multiply(phi_r.cos()).atan();
+    var vol_model = ninety.subtract(theta_i).add(alpha_r).tan()
+      .divide(ninety.subtract(theta_i).tan());
+    corrected = sigma0.divide(theta_i.cos()).divide(vol_model);
+
+    // Mask layover (range slope steeper than the incidence angle) and shadow
+    var layover = alpha_r.lt(theta_i);
+    var shadow = alpha_r.gt(ninety.subtract(theta_i).multiply(-1));
+    corrected = corrected.updateMask(layover.and(shadow));
+
+    if (incidence_normalization) {
+      corrected = corrected.multiply(Math.cos(reference));
+    }
+  } else if (incidence_normalization) {
+    corrected = sigma0.multiply(Math.pow(Math.cos(reference), 2)).divide(theta_i.cos().pow(2));
+  }
+
+  var corrected_db = corrected.log10().multiply(10).rename(bands);
+  return image.addBands(corrected_db, null, true).select(bands);
+}
 
 // Load and filter Sentinel-1 GRD data by predefined parameters 
 var collection= ee.ImageCollection('COPERNICUS/S1_GRD')
   .filter(ee.Filter.eq('instrumentMode','IW'))
-  .filter(ee.Filter.listContains('transmitterReceiverPolarisation', polarization))
-  .filter(ee.Filter.eq('orbitProperties_pass',pass_direction)) 
+  .filter(ee.Filter.and.apply(null, required_polarizations.map(function(pol){
+    return ee.Filter.listContains('transmitterReceiverPolarisation', pol);
+  })))
+  .filter(ee.Filter.inList('orbitProperties_pass',pass_directions)) 
   .filter(ee.Filter.eq('resolution_meters',10))
   .filterBounds(aoi)
-  .select(polarization);
+  .select(required_polarizations.concat(['angle']))
+  .map(radiometric_correction);
+
+// Propose dry and wet windows from precipitation and print the rationale to the console
+if (auto_dates) {
+  // Load the shared precipitation window module, update the path to your copy of precipitation.js
+  var precipitation = require('users/<username>/HydroecologicalRiparianZone:Scripts/precipitation');
+  var precipOptions = {searchStart: precip_search_start, searchEnd: precip_search_end,
+      windowDays: window_days, antecedentDays: antecedent_days, orbitProperty: 'relativeOrbitNumber_start'};
+
+  var windows = precipitation.windows(aoi, collection, precipOptions);
+  print('Candidate windows with Sentinel-1 coverage', ui.Chart.feature.byFeature(windows, 'start',
+    ['end', 'antecedent_mm', 'window_mm', 'images']).setChartType('Table'));
+
+  // The dry window must end before the wet window and share a relative orbit with it,
+  // otherwise the predefined before and after dates are both kept
+  var wet_window = precipitation.wetWindow(windows);
+  var dry_candidates = precipitation.dryCandidates(windows, wet_window, precipOptions);
+  var dry_found = dry_candidates.size().gt(0);
+  var dry_window = precipitation.dryWindow(dry_candidates);
+  before_start = ee.Date(ee.Algorithms.If(dry_found, dry_window.get('start'), before_start));
+  before_end = ee.Date(ee.Algorithms.If(dry_found, dry_window.get('end'), before_end));
+  after_start = ee.Date(ee.Algorithms.If(dry_found, wet_window.get('start'), after_start));
+  after_end = ee.Date(ee.Algorithms.If(dry_found, wet_window.get('end'), after_end));
+
+  print(ee.Algorithms.If(dry_found,
+    ee.String('Dry window proposed: ').cat(dry_window.get('start')).cat(' to ').cat(dry_window.get('end'))
+      .cat(', lowest precipitation within the window (mm): ').cat(ee.Number(dry_window.get('window_mm')).format('%.1f')),
+    'No dry window before the wet window shares a relative orbit with it, the predefined before and after dates are kept'));
+  print(ee.String('Wet window proposed: ').cat(wet_window.get('start')).cat(' to ').cat(wet_window.get('end'))
+    .cat(', highest precipitation in the preceding ' + antecedent_days + ' days (mm): ')
+    .cat(ee.Number(wet_window.get('antecedent_mm')).format('%.1f')));
+}
 
 // Select images by predefined dates
-var before_collection = collection.filterDate(before_start, before_end);
-var after_collection = collection.filterDate(after_start, after_end);
+// The speckle filter is applied before the predefined polarization is selected
+var before_collection = speckle_filter_collection(collection.filterDate(before_start, before_end))
+  .map(select_polarization);
+var after_collection = speckle_filter_collection(collection.filterDate(after_start, after_end))
+  .map(select_polarization);
 
 // Print selected tiles to the console
   // Extract date from metadata
@@ -85,27 +471,177 @@ var min_after = after_collection.min().clip(aoi);
 var max_after = after_collection.max().clip(aoi);
 var mean_after = after_collection.mean().clip(aoi);
 
+// Per Relative Orbit Change Indices ------------------------
+// Each relative orbit is compared only to itself so that differences in look geometry
+// between orbits are not interpreted as change. Only orbits with both before and after
+// images contribute; their indices are then averaged into one image per index.
+var before_orbits = before_collection.aggregate_array('relativeOrbitNumber_start').distinct();
+var after_orbits = after_collection.aggregate_array('relativeOrbitNumber_start').distinct();
+var all_orbits = before_orbits.cat(after_orbits).distinct().sort();
+var orbits = before_orbits.filter(ee.Filter.inList('item', after_orbits));
+
+var orbit_collection = ee.ImageCollection.fromImages(orbits.map(function(orbit){
+  var orbit_filter = ee.Filter.eq('relativeOrbitNumber_start', orbit);
+  var orbit_before = before_collection.filter(orbit_filter).mean().abs();
+  var orbit_after = after_collection.filter(orbit_filter).min().abs();
+  var orbit_ri = orbit_after.divide(orbit_before).rename('RI');
+  var orbit_ndfi = orbit_before.subtract(orbit_after)
+    .divide(orbit_before.add(orbit_after)).rename('NDFI');
+  var orbit_dii = orbit_after.subtract(orbit_before).rename('DII');
+  return orbit_ri.addBands(orbit_ndfi).addBands(orbit_dii).set('relativeOrbitNumber_start', orbit);
+}));
+
+// Without any relative orbit imaged both before and after, the indices are left fully masked
+// (instead of a bandless mean) and the failure is reported
+var orbit_indices = ee.Image(ee.Algorithms.If(orbits.size().gt(0),
+  orbit_collection.mean(),
+  ee.Image.constant([0, 0, 0]).rename(['RI', 'NDFI', 'DII']).updateMask(0)
+)).clip(aoi);
+print(ee.Algorithms.If(orbits.size().gt(0),
+  ee.String('Relative orbits contributing to the flood mask: ').cat(orbits.size().format('%d')),
+  'ERROR: no relative orbit has both before and after images, widen the dates or change pass_direction'));
+
+// Print a table of the relative orbits and whether they contributed to the flood mask
+var orbit_table = ee.FeatureCollection(all_orbits.map(function(orbit){
+  var orbit_filter = ee.Filter.eq('relativeOrbitNumber_start', orbit);
+  var orbit_images = before_collection.merge(after_collection).filter(orbit_filter);
+  return ee.Feature(null, {
+    'relative orbit': orbit,
+    'pass': orbit_images.first().get('orbitProperties_pass'),
+    'before images': before_collection.filter(orbit_filter).size(),
+    'after images': after_collection.filter(orbit_filter).size(),
+    'contributes': orbits.contains(orbit)
+  });
+}));
+print('Relative orbits', ui.Chart.feature.byFeature(orbit_table, 'relative orbit',
+  ['pass', 'before images', 'after images', 'contributes']).setChartType('Table'));
+
 // Reduce radar speckle by smoothing  
-var before_filtered = mean_before.focalMedian({radius: 15, kernelType: 'square', units: 'meters'});
-var after_filtered = min_after.focalMedian({radius: 15, kernelType: 'square', units: 'meters'});
+var before_filtered = speckle_filter_index(mean_before);
+var after_filtered = speckle_filter_index(min_after);
 
 //Extract slope from NASA Global DEM dataset
 var DEM = ee.Image("NASA/NASADEM_HGT/001").select('elevation');
 var terrain = ee.Algorithms.Terrain(DEM);
 var slope = terrain.select('slope');
 
+// Height Above Nearest Drainage derived from a DEM: the drainage pixels are MERIT Hydro pixels with an
+// upstream area above drainage_min_upa resampled to the DEM, and the lowest drainage elevation is spread
+// outwards in focal steps. Pixels further than drainage_search from the drainage are masked
+function hand_from_dem(dem){
+  var projection = dem.projection();
+  var drainage = ee.Image('MERIT/Hydro/v1_0_1').select('upa').gt(drainage_min_upa).reproject(projection);
+  var drainage_elevation = dem.updateMask(drainage);
+  var step = drainage_search / drainage_steps;
+  for (var i = 0; i < drainage_steps; i++) {
+    drainage_elevation = drainage_elevation.unmask(
+      drainage_elevation.focalMin(step, 'square', 'meters').reproject(projection));
+  }
+  return dem.subtract(drainage_elevation).max(0).rename('hand');
+}
+
+// Height Above Nearest Drainage from the user-supplied HAND or DEM asset, or from MERIT Hydro
+var hand = hand_asset ? ee.Image(hand_asset).select(0)
+  : hand_dem_asset ? hand_from_dem(ee.Image(hand_dem_asset).select(0))
+  : ee.Image('MERIT/Hydro/v1_0_1').select('hnd');
+
+// Terrain mask applied to each flood mask by the predefined terrain masking method
+var slope_mask = slope.lt(max_slope);
+var hand_mask = hand.lt(max_hand);
+var terrain_mask = terrain_mask_method == 'hand' ? hand_mask
+  : terrain_mask_method == 'both' ? slope_mask.and(hand_mask)
+  : slope_mask;
+
 // Include JRC layer on surface water seasonality to mask flood pixels from areas
 // of "permanent" water (where there is water > 10 months of the year)
 var swater = ee.Image('JRC/GSW1_4/GlobalSurfaceWater').select('seasonality');
 
 
+//-- THRESHOLDING FUNCTIONS ------------------------------------------------//
+// Histogram of a normalized index image, reduced over the given region
+function histogram_of(image, region){
+  return ee.Dictionary(image.reduceRegion({
+    reducer: ee.Reducer.histogram(255, 0.001),
+    geometry: region,
+    scale: 10,
+    maxPixels: 1e13
+    }).get(band));
+}
+
+// Between-class sum of squares for every possible cut point of a histogram
+function between_class_ss(histogram){
+  var counts = ee.Array(ee.Dictionary(histogram).get('histogram'));
+  var means = ee.Array(ee.Dictionary(histogram).get('bucketMeans'));
+  var size = means.length().get([0]);
+  var total = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+  var sum = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+  var mean = sum.divide(total);
+  return ee.List.sequence(1, size).map(function(i){
+    var aCounts = counts.slice(0, 0, i);
+    var aCount = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
+    var aMeans = means.slice(0, 0, i);
+    var aMean = aMeans.multiply(aCounts).reduce(ee.Reducer.sum(), [0]).get([0]).divide(aCount);
+    var bCount = total.subtract(aCount);
+    var bMean = sum.subtract(aCount.multiply(aMean)).divide(bCount);
+    return aCount.multiply(aMean.subtract(mean).pow(2))
+      .add(bCount.multiply(bMean.subtract(mean).pow(2)));
+  });
+}
+
+// Otsu: the bucket value that maximizes the between-class variance
+function otsu(histogram){
+  var means = ee.Array(ee.Dictionary(histogram).get('bucketMeans'));
+  return means.sort(between_class_ss(histogram)).get([-1]);
+}
+
+// BMax: maximum between-class variance divided by the total variance of the histogram,
+// values close to 1 indicate a bimodal distribution (Markert et al. 2020)
+function bmax(histogram){
+  var counts = ee.Array(ee.Dictionary(histogram).get('histogram'));
+  var means = ee.Array(ee.Dictionary(histogram).get('bucketMeans'));
+  var total = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+  var mean = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]).divide(total);
+  var total_ss = means.subtract(mean).pow(2).multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+  return ee.Number(between_class_ss(histogram).reduce(ee.Reducer.max())).divide(total_ss);
+}
+
+// Split-based Otsu: only tiles of the aoi with a bimodal histogram are used to derive the threshold,
+// the whole aoi is used if no tile is bimodal
+function split_otsu(image){
+  var tiles = aoi.coveringGrid('EPSG:3857', tile_size);
+  var tile_histograms = image.reduceRegions({
+    collection: tiles,
+    reducer: ee.Reducer.histogram(255, 0.001),
+    scale: 10
+    }).filter(ee.Filter.notNull(['histogram']));
+  var bimodal_tiles = tile_histograms.map(function(tile){
+    return tile.set('bmax', bmax(tile.get('histogram')));
+    }).filter(ee.Filter.gte('bmax', bimodal_bmax));
+  print('Bimodal tiles used for split-based Otsu:', bimodal_tiles.size());
+  var region = ee.Geometry(ee.Algorithms.If(bimodal_tiles.size().gt(0),
+    bimodal_tiles.geometry(), aoi));
+  return otsu(histogram_of(image, region));
+}
+
+// Select the threshold of a normalized index by the predefined thresholding method
+function select_threshold(norm_image, ksigma_th){
+  if (threshold_method == 'otsu') {
+    return ee.Number(otsu(histogram_of(norm_image, aoi)));
+  }
+  if (threshold_method == 'split_otsu') {
+    return ee.Number(split_otsu(norm_image));
+  }
+  return ksigma_th;
+}
+
+
 //-- FLOOD EXTENT CALCULATION ----------------------------------------------//
 //-- RI -------------------------------------------------//
-// RI: Ratio Index = After / Before
-var ri = min_after.abs().divide(mean_before.abs());
+// RI: Ratio Index = After / Before, averaged over the contributing relative orbits
+var ri = orbit_indices.select('RI').rename(band);
 
 // Reduce the radar speckle by smoothing  
-var ri_filtered = ri.focalMedian(15, 'square', 'meters');
+var ri_filtered = speckle_filter_index(ri);
 
 // RI Min-Max Normalization -----------------------
 // Normalize values to range of 0 to 1 based on Min and Max values
@@ -125,9 +661,9 @@ var ri_max = ri_filtered.reduceRegion({
     });
 
 // Calculate the range of the RI values i.e. RI_max - RI_min
-var ri_rang = ee.Number(ri_max.get('VH')).subtract(ee.Number(ri_min.get('VH')));
+var ri_rang = ee.Number(ri_max.get(band)).subtract(ee.Number(ri_min.get(band)));
 // RI_norm = (RI_filtered - RI_min) / (RI_max - RI_min)
-var ri_subtctMin = ri_filtered.subtract(ee.Number(ri_min.get('VH')));
+var ri_subtctMin = ri_filtered.subtract(ee.Number(ri_min.get(band)));
 var ri_norm = ri_subtctMin.divide(ri_rang);
 
 // Histogram of the normalized RI values
@@ -158,8 +694,9 @@ var ri_std = ri_norm.reduceRegion({
 
 // Threshold = Mean + 0.25 * Standard Deviation, where k Coeficient = 0.25
 // This threshold value is adopted from Hamidi et al. 2022
-var ri_th = ee.Number(ri_mean.get('VH')).add(ee.Number(0.25).multiply(ee.Number(ri_std.get('VH'))));
-print('ri_th = ', ri_th);
+var ri_ksigma_th = ee.Number(ri_mean.get(band)).add(ee.Number(0.25).multiply(ee.Number(ri_std.get(band))));
+var ri_th = select_threshold(ri_norm, ri_ksigma_th);
+print('ri_th (' + threshold_method + ') = ', ri_th);
 
 // Apply Thresholding on RI
 var ri_filtered = ri_norm.gt(ri_th);
@@ -177,17 +714,18 @@ var ri_flooded = ri_flooded_mask.updateMask(ri_flooded_mask);
 var connections = ri_flooded.connectedPixelCount();    
 var ri_flooded = ri_flooded.updateMask(connections.gte(5));
 
-// Mask out areas with more than 5 percent slope using a Digital Elevation Model 
-var ri_flooded = ri_flooded.updateMask(slope.lt(5));
+// Mask out steep or elevated terrain by the predefined terrain masking method
+// Flood pixels excluded by the terrain mask are kept to report their area
+var ri_terrain_excluded = ri_flooded.updateMask(terrain_mask.not());
+var ri_flooded = ri_flooded.updateMask(terrain_mask);
 
 //------------------------------------------------------  NDFI  ---------------------------------------------------//
 
-// NDFI: Normalized Flood Index = (Before – After) / (Before + After)
-var ndfi = mean_before.abs().subtract(min_after.abs())
-            .divide(mean_before.abs().add(min_after.abs()));
+// NDFI: Normalized Flood Index = (Before – After) / (Before + After), averaged over the contributing relative orbits
+var ndfi = orbit_indices.select('NDFI').rename(band);
 
 // Reduce the radar speckle by smoothing  
-var ndfi_filtered = ndfi.focalMedian(15, 'square', 'meters');
+var ndfi_filtered = speckle_filter_index(ndfi);
 
 // NDFI Min-Max Normalization -----------------------
 // Normalize values to range of 0 to 1 based on Min and Max values
@@ -206,9 +744,9 @@ var ndfi_max = ndfi_filtered.reduceRegion({
     });
 
 // Calculate the range of the NDFI values i.e. NDFI_max - NDFI_min
-var ndfi_rang = ee.Number(ndfi_max.get('VH')).subtract(ee.Number(ndfi_min.get('VH')));
+var ndfi_rang = ee.Number(ndfi_max.get(band)).subtract(ee.Number(ndfi_min.get(band)));
 // NDFI_norm = (NDFI_filtered−NDFI_min) / (NDFI_max−NDFI_min)
-var ndfi_subtctMin = ndfi_filtered.subtract(ee.Number(ndfi_min.get('VH')));
+var ndfi_subtctMin = ndfi_filtered.subtract(ee.Number(ndfi_min.get(band)));
 var ndfi_norm = ndfi_subtctMin.divide(ndfi_rang);
 
 // Histogram of the normalized NDFI values
@@ -239,8 +777,9 @@ var ndfi_std = ndfi_norm.reduceRegion({
 
 // Threshold = Mean - 1 * Standard Deviation, where k Coeficient = 1
 // This threshold value is adopted from Hamidi et al. 2022
-var ndfi_th = ee.Number(ndfi_mean.get('VH')).subtract(ee.Number(1.0).multiply(ee.Number(ndfi_std.get('VH'))));
-print('ndfi_th = ', ndfi_th);
+var ndfi_ksigma_th = ee.Number(ndfi_mean.get(band)).subtract(ee.Number(1.0).multiply(ee.Number(ndfi_std.get(band))));
+var ndfi_th = select_threshold(ndfi_norm, ndfi_ksigma_th);
+print('ndfi_th (' + threshold_method + ') = ', ndfi_th);
 
 // Apply Thresholding Value on NDFI
 var ndfi_filtered = ndfi_norm.lt(ndfi_th);
@@ -257,17 +796,19 @@ var ndfi_flooded = ndfi_flooded_mask.updateMask(ndfi_flooded_mask);
 var connections = ndfi_flooded.connectedPixelCount();    
 var ndfi_flooded = ndfi_flooded.updateMask(connections.gte(5));
 
-// Mask out areas with more than 5 percent slope using a Digital Elevation Model 
-var ndfi_flooded = ndfi_flooded.updateMask(slope.lt(5));
+// Mask out steep or elevated terrain by the predefined terrain masking method
+// Flood pixels excluded by the terrain mask are kept to report their area
+var ndfi_terrain_excluded = ndfi_flooded.updateMask(terrain_mask.not());
+var ndfi_flooded = ndfi_flooded.updateMask(terrain_mask);
 
 
 //---------------------------------------------------  DII  -----------------------------------------------------//
 
-// DII: Difference Image Index = After - Before
-var dii = min_after.abs().subtract(mean_before.abs());
+// DII: Difference Image Index = After - Before, averaged over the contributing relative orbits
+var dii = orbit_indices.select('DII').rename(band);
 
 // Apply reduce the radar speckle by smoothing  
-var dii_filtered = dii.focalMedian(15, 'square', 'meters');
+var dii_filtered = speckle_filter_index(dii);
 
 // DII Min-Max Normalization
 // Normalize values to range of 0 to 1 based on Min and Max values
@@ -287,9 +828,9 @@ var dii_max = dii_filtered.reduceRegion({
     });
 
 // Calculate the range of the DII values i.e. DII_max - DII_min
-var dii_rang = ee.Number(dii_max.get('VH')).subtract(ee.Number(dii_min.get('VH')));
+var dii_rang = ee.Number(dii_max.get(band)).subtract(ee.Number(dii_min.get(band)));
 // DII_norm = (DII_filtered−DII_min) / (DII_max−DII_min)
-var dii_subtctMin = dii_filtered.subtract(ee.Number(dii_min.get('VH')));
+var dii_subtctMin = dii_filtered.subtract(ee.Number(dii_min.get(band)));
 var dii_norm = dii_subtctMin.divide(dii_rang);
 
 var histogram = ui.Chart.image.histogram({
@@ -319,8 +860,9 @@ var dii_std = dii_norm.reduceRegion({
 
 // Threshold = Mean + 0.8 * Standard Deviation, where k Coeficient = 0.8
 // This threshold value is adopted from Hamidi et al. 2022
-var dii_th = ee.Number(dii_mean.get('VH')).add(ee.Number(0.8).multiply(ee.Number(dii_std.get('VH'))));
-print('dii_th = ', dii_th);
+var dii_ksigma_th = ee.Number(dii_mean.get(band)).add(ee.Number(0.8).multiply(ee.Number(dii_std.get(band))));
+var dii_th = select_threshold(dii_norm, dii_ksigma_th);
+print('dii_th (' + threshold_method + ') = ', dii_th);
 
 // Apply Thresholding on DII
 var dii_filtered = dii_norm.gt(dii_th);
@@ -337,8 +879,235 @@ var dii_flooded = dii_flooded_mask.updateMask(dii_flooded_mask);
 var connections = dii_flooded.connectedPixelCount();    
 var dii_flooded = dii_flooded.updateMask(connections.gte(5));
 
-// Mask out areas with more than 5 percent slope using a Digital Elevation Model 
-var dii_flooded = dii_flooded.updateMask(slope.lt(5));
+// Mask out steep or elevated terrain by the predefined terrain masking method
+// Flood pixels excluded by the terrain mask are kept to report their area
+var dii_terrain_excluded = dii_flooded.updateMask(terrain_mask.not());
+var dii_flooded = dii_flooded.updateMask(terrain_mask);
+
+//---------------------------------------------  CONSENSUS  ---------------------------------------------//
+// Agreement: number of indices (RI, NDFI, DII) that detect a flood pixel, from 0 to 3
+var agreement = ri_flooded.unmask(0)
+  .add(ndfi_flooded.unmask(0))
+  .add(dii_flooded.unmask(0))
+  .rename('agreement')
+  .clip(aoi);
+
+// Majority: flood pixels detected by at least 2 indices, Unanimous: detected by all 3 indices
+var majority_flooded = agreement.gte(2).selfMask();
+var unanimous_flooded = agreement.eq(3).selfMask();
+
+// Convert the agreement to polygons carrying the number of agreeing indices
+var polygonsAgreement = agreement.selfMask().reduceToVectors({
+  reducer: ee.Reducer.countEvery(),
+  geometry: aoi,
+  labelProperty: 'agreement',
+  bestEffort: false,
+  maxPixels: 1e13,
+  scale: 10
+});
+
+var majority_flood_stats = majority_flooded.multiply(ee.Image.pixelArea()).reduceRegion({
+  reducer: ee.Reducer.sum(),
+  geometry: aoi,
+  scale: 10,
+  maxPixels: 1e13,
+  bestEffort: false
+  });
+
+var unanimous_flood_stats = unanimous_flooded.multiply(ee.Image.pixelArea()).reduceRegion({
+  reducer: ee.Reducer.sum(),
+  geometry: aoi,
+  scale: 10,
+  maxPixels: 1e13,
+  bestEffort: false
+  });
+
+print("Area in Ha flooded based on majority of indices (" + polarization + "):",
+  majority_flood_stats.getNumber('agreement').divide(10000).round());
+print("Area in Ha flooded based on all indices (" + polarization + "):",
+  unanimous_flood_stats.getNumber('agreement').divide(10000).round());
+
+//---------------------------------------------  VALIDATION  ---------------------------------------------//
+// Accuracy of each flood mask and of the majority consensus against the reference data
+if (reference_asset) {
+  var reference = ee.FeatureCollection(reference_asset).filterBounds(aoi);
+  var reference_samples = reference_type == 'points' ? reference
+    : ee.Image(0).paint(reference, 1).rename(reference_property).clip(aoi).stratifiedSample({
+        numPoints: validation_points,
+        classBand: reference_property,
+        region: aoi,
+        scale: 10,
+        seed: 0,
+        geometries: true
+      });
+
+  var validated = [
+    ['RI', ri_flooded], ['NDFI', ndfi_flooded], ['DII', dii_flooded], ['Consensus', majority_flooded]
+  ].map(function(entry){
+    var confusionMatrix = entry[1].unmask(0).rename('predicted').sampleRegions({
+      collection: reference_samples,
+      properties: [reference_property],
+      scale: 10
+      }).errorMatrix(reference_property, 'predicted', [0, 1]);
+    print(entry[0] + ' Confusion matrix:', confusionMatrix);
+    return ee.Feature(null, {
+      'index': entry[0],
+      'overall accuracy': confusionMatrix.accuracy(),
+      'producers accuracy (water)': confusionMatrix.producersAccuracy().get([1, 0]),
+      'consumers accuracy (water)': confusionMatrix.consumersAccuracy().get([0, 1]),
+      'F1 (water)': confusionMatrix.fscore().get([1]),
+      'kappa': confusionMatrix.kappa()
+    });
+  });
+  var validation = ee.FeatureCollection(validated);
+  print('Flood validation (' + polarization + ', ' + speckle_label + ')', ui.Chart.feature.byFeature(validation, 'index',
+    ['overall accuracy', 'producers accuracy (water)', 'consumers accuracy (water)', 'F1 (water)', 'kappa'])
+    .setChartType('Table'));
+
+  // Best performing index for the aoi by F1 of the water class
+  var best = ee.Feature(validation.sort('F1 (water)', false).first());
+  print(ee.String('Best performing index for the aoi: ').cat(best.get('index'))
+    .cat(' (F1 = ').cat(ee.Number(best.get('F1 (water)')).format('%.3f')).cat(')'));
+}
+
+//---------------------------------------------  FLOODED VEGETATION  ---------------------------------------------//
+// Load VV regardless of the predefined polarization, double bounce is strongest in VV
+var vv_collection = ee.ImageCollection('COPERNICUS/S1_GRD')
+  .filter(ee.Filter.eq('instrumentMode','IW'))
+  .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+  .filter(ee.Filter.inList('orbitProperties_pass',pass_directions))
+  .filter(ee.Filter.eq('resolution_meters',10))
+  .filterBounds(aoi)
+  .select(['VV', 'angle'])
+  .map(radiometric_correction);
+var vv_before_collection = speckle_filter_collection(vv_collection.filterDate(before_start, before_end), ['VV']);
+var vv_after_collection = speckle_filter_collection(vv_collection.filterDate(after_start, after_end), ['VV']);
+
+// VV increase (dB) = Max After - Mean Before, computed per relative orbit and averaged.
+// Without a relative orbit shared by both periods the VV increase is empty (no flooded vegetation)
+var vv_orbits = vv_before_collection.aggregate_array('relativeOrbitNumber_start').distinct()
+  .filter(ee.Filter.inList('item', vv_after_collection.aggregate_array('relativeOrbitNumber_start')));
+var vv_increase = ee.Image(ee.Algorithms.If(vv_orbits.size().gt(0),
+  ee.ImageCollection.fromImages(vv_orbits.map(function(orbit){
+    var orbit_filter = ee.Filter.eq('relativeOrbitNumber_start', orbit);
+    return vv_after_collection.filter(orbit_filter).max()
+      .subtract(vv_before_collection.filter(orbit_filter).mean());
+  })).mean(),
+  ee.Image.constant(0).rename('VV').updateMask(0))).clip(aoi);
+print(ee.Algorithms.If(vv_orbits.size().gt(0),
+  ee.String('Relative orbits contributing to the flooded vegetation mask: ').cat(vv_orbits.size().format('%d')),
+  'WARNING: no relative orbit has both before and after VV images, the flooded vegetation mask is empty'));
+var vv_increase_filtered = speckle_filter_index(vv_increase);
+
+// Vegetated pixels from ESA WorldCover (10: tree cover, 95: mangroves) or Sentinel-2 NDVI
+var vegetation = fv_vegetation_mask == 'ndvi'
+  ? ee.ImageCollection('COPERNICUS/S2_HARMONIZED')
+      .filterBounds(aoi)
+      .filterDate(fv_ndvi_start, fv_ndvi_end)
+      .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 20))
+      .map(function(image){ return image.normalizedDifference(['B8', 'B4']); })
+      .median()
+      .gt(fv_min_ndvi)
+  : ee.ImageCollection('ESA/WorldCover/v200').first().remap([10, 95], [1, 1], 0);
+
+// Flooded vegetation without pixels in perennial waterbodies
+var fv_filtered = vv_increase_filtered.gt(fv_increase_db).and(vegetation);
+var fv_flooded_mask = fv_filtered.where(swater_mask,0).rename('VV');
+var fv_flooded = fv_flooded_mask.updateMask(fv_flooded_mask);
+
+// Compute connectivity of pixels to eliminate those connected to 5 or fewer neighbours
+var connections = fv_flooded.connectedPixelCount();
+var fv_flooded = fv_flooded.updateMask(connections.gte(5)).updateMask(terrain_mask);
+
+var polygonsFV = fv_flooded.reduceToVectors({
+  reducer: ee.Reducer.countEvery(),
+  geometry: aoi,
+  bestEffort: false,
+  maxPixels: 1e13,
+  scale: 10
+}).map(function(feature){
+  return feature.set('polarization', 'VV');
+});
+
+var fv_flood_stats = fv_flooded.multiply(ee.Image.pixelArea()).reduceRegion({
+  reducer: ee.Reducer.sum(),
+  geometry: aoi,
+  scale: 10,
+  maxPixels: 1e13,
+  bestEffort: false
+  });
+print("Area in Ha of flooded vegetation based on VV double bounce:",
+  fv_flood_stats.getNumber('VV').divide(10000).round());
+
+//---------------------------------------------  FLOOD RECURRENCE  ---------------------------------------------//
+// Flood frequency: percent of valid wet season observations classified as flooded
+// Hydroperiod: estimated days per year flooded = flood frequency * length of the wet season
+if (recurrence_mode) {
+  var recurrence_collection = speckle_filter_collection(collection.filterDate(recurrence_start, recurrence_end))
+    .map(select_polarization);
+  var dry_collection = recurrence_collection
+    .filter(ee.Filter.calendarRange(dry_start_month, dry_end_month, 'month'));
+  var wet_collection = recurrence_collection
+    .filter(ee.Filter.calendarRange(wet_start_month, wet_end_month, 'month'));
+
+  // Skip the wet season acquisitions of relative orbits without a dry season baseline
+  var dry_orbits = dry_collection.aggregate_array('relativeOrbitNumber_start').distinct();
+  var wet_all = wet_collection;
+  wet_collection = wet_collection.filter(ee.Filter.inList('relativeOrbitNumber_start', dry_orbits));
+  print(ee.String('Wet season tiles skipped, no dry season baseline of their relative orbit: ')
+    .cat(wet_all.size().subtract(wet_collection.size()).format('%d')));
+
+  print(ee.String('Tiles selected: Dry Season Baseline ').cat('(').cat(dry_collection.size()).cat(')'),
+    dates(dry_collection));
+  print(ee.String('Tiles selected: Wet Season Observations ').cat('(').cat(wet_collection.size()).cat(')'),
+    dates(wet_collection));
+
+  // Classify each wet season acquisition against the dry season baseline of its relative orbit
+  var flood_observations = wet_collection.map(function(image){
+    var baseline = dry_collection
+      .filter(ee.Filter.eq('relativeOrbitNumber_start', image.get('relativeOrbitNumber_start')))
+      .mean();
+    var change = speckle_filter_index(image.subtract(baseline));
+    var flooded = change.lt(recurrence_change_db).where(swater_mask, 0);
+    return flooded.rename('flooded').copyProperties(image, ['system:time_start']);
+  });
+
+  var wet_season_days = ((wet_end_month - wet_start_month + 12) % 12 + 1) * 365.25 / 12;
+  var flood_frequency = flood_observations.sum()
+    .divide(flood_observations.count())
+    .multiply(100)
+    .rename('frequency')
+    .clip(aoi)
+    .updateMask(terrain_mask);
+  var hydroperiod = flood_frequency.divide(100).multiply(wet_season_days).rename('hydroperiod');
+
+  // Convert each flood frequency class to polygons and calculate its area in hectares
+  var frequency_polygons = frequency_classes.map(function(frequency_class){
+    var frequency_mask = flood_frequency.gt(frequency_class).selfMask();
+    var connections = frequency_mask.connectedPixelCount();
+    frequency_mask = frequency_mask.updateMask(connections.gte(5));
+
+    var frequency_area_ha = frequency_mask.multiply(ee.Image.pixelArea()).reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: aoi,
+      scale: 10,
+      maxPixels: 1e13,
+      bestEffort: false
+      }).getNumber('frequency').divide(10000).round();
+    print('Area in Ha flooded in more than ' + frequency_class + '% of wet season observations (' + polarization + '):',
+      frequency_area_ha);
+
+    return frequency_mask.reduceToVectors({
+      reducer: ee.Reducer.countEvery(),
+      geometry: aoi,
+      bestEffort: false,
+      maxPixels: 1e13,
+      scale: 10
+      }).map(function(feature){
+        return feature.set('frequency_class', frequency_class, 'polarization', polarization);
+      });
+  });
+}
 
 //------------------------------ FLOOD POLYGONS ----------------------------------//
 // Convert the flood masks to polygons for each index
@@ -366,10 +1135,19 @@ var polygonsDII = dii_flooded.reduceToVectors({
   scale: 10  
 });
 
+// Label each polygon with the polarization used
+function label_polarization(feature){
+  return feature.set('polarization', polarization);
+}
+var polygonsRI = polygonsRI.map(label_polarization);
+var polygonsNDFI = polygonsNDFI.map(label_polarization);
+var polygonsDII = polygonsDII.map(label_polarization);
+var polygonsAgreement = polygonsAgreement.map(label_polarization);
+
 // Create a raster layer containing the area information of each pixel 
-var ri_flood_pixelarea = ri_flooded.select(polarization).multiply(ee.Image.pixelArea());
-var ndfi_flood_pixelarea = ndfi_flooded.select(polarization).multiply(ee.Image.pixelArea());
-var dii_flood_pixelarea = dii_flooded.select(polarization).multiply(ee.Image.pixelArea());
+var ri_flood_pixelarea = ri_flooded.select(band).multiply(ee.Image.pixelArea());
+var ndfi_flood_pixelarea = ndfi_flooded.select(band).multiply(ee.Image.pixelArea());
+var dii_flood_pixelarea = dii_flooded.select(band).multiply(ee.Image.pixelArea());
 
 // Sum the areas of flooded pixels default is set to 'bestEffort: true' in order to reduce 
 // compuation time, for a more accurate result set bestEffort to false and increase 'maxPixels'. 
@@ -399,70 +1177,143 @@ var dii_flood_stats = dii_flood_pixelarea.reduceRegion({
 
 // Convert the flood extent to hectares  
 var ri_flood_area_ha = ri_flood_stats
-  .getNumber(polarization)
+  .getNumber(band)
   .divide(10000)
   .round();
 
 var ndfi_flood_area_ha = ndfi_flood_stats
-  .getNumber(polarization)
+  .getNumber(band)
   .divide(10000)
   .round();
 
 var dii_flood_area_ha = dii_flood_stats
-  .getNumber(polarization)
+  .getNumber(band)
   .divide(10000)
   .round();
 
 //Flooded Area in Ha
-print("Area in Ha flooded based on RI:",ri_flood_area_ha);
-print("Area in Ha flooded based on NDFI:",ndfi_flood_area_ha);
-print("Area in Ha flooded based on DII:",dii_flood_area_ha);
+print("Area in Ha flooded based on RI (" + polarization + "):",ri_flood_area_ha);
+print("Area in Ha flooded based on NDFI (" + polarization + "):",ndfi_flood_area_ha);
+print("Area in Ha flooded based on DII (" + polarization + "):",dii_flood_area_ha);
+
+// Area in Ha of flood pixels excluded by the terrain mask
+function terrain_excluded_ha(excluded){
+  return excluded.multiply(ee.Image.pixelArea()).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: aoi,
+    scale: 10,
+    maxPixels: 1e13,
+    bestEffort: false
+    }).getNumber(band).divide(10000).round();
+}
+print("Area in Ha excluded by the " + terrain_mask_method + " terrain mask based on RI:",
+  terrain_excluded_ha(ri_terrain_excluded));
+print("Area in Ha excluded by the " + terrain_mask_method + " terrain mask based on NDFI:",
+  terrain_excluded_ha(ndfi_terrain_excluded));
+print("Area in Ha excluded by the " + terrain_mask_method + " terrain mask based on DII:",
+  terrain_excluded_ha(dii_terrain_excluded));
 
 //------------------------------  DISPLAY PRODUCTS  ----------------------------------//
 // Before and after flood SAR mosaic
 Map.centerObject(aoi,12);-
-Map.addLayer(mean_before,{},'Before Composite');
-Map.addLayer(min_after,{},' After Composite');
-Map.addLayer(before_filtered, {}, 'Before Flood', 0);
-Map.addLayer(after_filtered, {}, 'After Flood', 0);
+Map.addLayer(mean_before,{},'Before Composite (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(min_after,{},' After Composite (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(before_filtered, {}, 'Before Flood (' + polarization + ', ' + speckle_label + ')', 0);
+Map.addLayer(after_filtered, {}, 'After Flood (' + polarization + ', ' + speckle_label + ')', 0);
 
-Map.addLayer(ri, {}, 'Raw RI');
-Map.addLayer(ri_filtered, {}, 'RI Thresholded');
-Map.addLayer(ri_flooded, {}, 'RI Flooded Water Mask');
+Map.addLayer(ri, {}, 'Raw RI (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(ri_filtered, {}, 'RI Thresholded (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(ri_flooded, {}, 'RI Flooded Water Mask (' + polarization + ', ' + speckle_label + ')');
 
-Map.addLayer(ndfi, {}, 'Raw NDFI');
-Map.addLayer(ndfi_filtered, {}, 'NDFI Thresholded');
-Map.addLayer(ndfi_flooded, {}, 'NDFI Flooded Water Mask');
+Map.addLayer(ndfi, {}, 'Raw NDFI (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(ndfi_filtered, {}, 'NDFI Thresholded (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(ndfi_flooded, {}, 'NDFI Flooded Water Mask (' + polarization + ', ' + speckle_label + ')');
 
-Map.addLayer(dii, {}, 'Raw DII');
-Map.addLayer(dii_filtered, {}, 'DII Thresholded');
-Map.addLayer(dii_flooded, {}, 'DII Flooded Water Mask');
+Map.addLayer(dii, {}, 'Raw DII (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(dii_filtered, {}, 'DII Thresholded (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(dii_flooded, {}, 'DII Flooded Water Mask (' + polarization + ', ' + speckle_label + ')');
 
 // Visualize the polygons (areas of dense vegetation for each index)
-Map.addLayer(polygonsRI, {color: '#2c7fb8'}, 'RI Flooded Polygons');
-Map.addLayer(polygonsNDFI, {color: '#41b6c4'}, 'NDFI Flooded Polygons');
-Map.addLayer(polygonsDII, {color: '#253494'}, 'DII Flooded Polygons');
+Map.addLayer(polygonsRI, {color: '#2c7fb8'}, 'RI Flooded Polygons (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(polygonsNDFI, {color: '#41b6c4'}, 'NDFI Flooded Polygons (' + polarization + ', ' + speckle_label + ')');
+Map.addLayer(polygonsDII, {color: '#253494'}, 'DII Flooded Polygons (' + polarization + ', ' + speckle_label + ')');
+
+Map.addLayer(agreement.selfMask(), {min: 1, max: 3, palette: ['c7e9b4', '41b6c4', '253494']},
+  'Flood Agreement (' + polarization + ', ' + speckle_label + ')', 0);
+Map.addLayer(majority_flooded, {palette: ['41b6c4']}, 'Majority Flooded Water Mask (' + polarization + ', ' + speckle_label + ')', 0);
+Map.addLayer(unanimous_flooded, {palette: ['253494']}, 'Unanimous Flooded Water Mask (' + polarization + ', ' + speckle_label + ')', 0);
+Map.addLayer(polygonsAgreement, {color: '#081d58'}, 'Agreement Flooded Polygons (' + polarization + ', ' + speckle_label + ')', 0);
+
+Map.addLayer(vv_increase, {min: -5, max: 5, palette: ['8c510a', 'f5f5f5', '01665e']},
+  'VV Increase (VV, ' + speckle_label + ')', 0);
+Map.addLayer(fv_flooded, {palette: ['01665e']}, 'Flooded Vegetation Mask (VV, ' + speckle_label + ')');
+Map.addLayer(polygonsFV, {color: '#01665e'}, 'Flooded Vegetation Polygons (VV, ' + speckle_label + ')', 0);
+
+if (recurrence_mode) {
+  Map.addLayer(flood_frequency, {min: 0, max: 100, palette: ['ffffcc', '41b6c4', '253494']},
+    'Flood Frequency % (' + polarization + ', ' + speckle_label + ')', 0);
+  Map.addLayer(hydroperiod, {min: 0, max: wet_season_days, palette: ['ffffcc', '41b6c4', '253494']},
+    'Hydroperiod days (' + polarization + ', ' + speckle_label + ')', 0);
+  frequency_classes.forEach(function(frequency_class, index){
+    Map.addLayer(frequency_polygons[index], {color: '#253494'},
+      'Flood Frequency > ' + frequency_class + '% Polygons (' + polarization + ', ' + speckle_label + ')', 0);
+  });
+}
 
 
 //----------------------------------- EXPORT ----------------------------------------------//
 
 Export.table.toDrive({
   collection: polygonsRI,
-  description: 'Flood_RI_Polygon',
+  description: 'Flood_RI_' + band + '_' + speckle_label + '_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 
 Export.table.toDrive({
   collection: polygonsNDFI,
-  description: 'Flood_NDFI_Polygon',
+  description: 'Flood_NDFI_' + band + '_' + speckle_label + '_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 
 Export.table.toDrive({
   collection: polygonsDII,
-  description: 'Flood_DII_Polygon',
+  description: 'Flood_DII_' + band + '_' + speckle_label + '_Polygon',
+  folder: 'ee_demos',
+  fileFormat: 'GeoJSON',
+});
+
+Export.table.toDrive({
+  collection: polygonsAgreement,
+  description: 'Flood_Agreement_' + band + '_' + speckle_label + '_Polygon',
+  folder: 'ee_demos',
+  fileFormat: 'GeoJSON',
+});
+
+Export.table.toDrive({
+  collection: polygonsFV,
+  description: 'Flood_Vegetation_VV_' + speckle_label + '_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
-});
\ No newline at end of file
+});
+
+if (recurrence_mode) {
+  Export.image.toDrive({
+    image: flood_frequency.addBands(hydroperiod).toFloat(),
+    description: 'Flood_Frequency_Hydroperiod_' + band + '_' + speckle_label,
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+
+  frequency_classes.forEach(function(frequency_class, index){
+    Export.table.toDrive({
+      collection: frequency_polygons[index],
+      description: 'Flood_Frequency_gt' + frequency_class + '_' + band + '_' + speckle_label + '_Polygon',
+      folder: 'ee_demos',
+      fileFormat: 'GeoJSON',
+    });
+  });
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Shared CHIRPS Precipitation Window Module for Google Earth Engine
+
+//---------------------NOTES-------------------------------------------------------------------//
+// This module:
+// 1. Steps candidate windows over a search range and records for each window the mean CHIRPS daily
+//    precipitation over the area of interest in the antecedent days and within the window, and the
+//    number of images of a given collection acquired within the window.
+// 2. Proposes the wet window (highest antecedent precipitation) and the dry window (lowest
+//    precipitation within the window) ending before the wet window, optionally sharing at least one
+//    relative orbit with it so that both periods are imaged with the same look geometry.
+// 3. Is loaded by flood.js, soil.js and water.js with require(), e.g.
+//    var precipitation = require('users/<username>/HydroecologicalRiparianZone:Scripts/precipitation');
+//-----------------------------------------------------------------------------------------------//
+
+// Default options, any option can be overridden by the calling script
+var defaults = {
+  searchStart: '2023-01-01',
+  searchEnd: '2023-12-31',
+  windowDays: 10,              // Length of the candidate windows in days
+  antecedentDays: 5,           // Days of precipitation preceding a window
+  orbitProperty: null          // Image property of the relative orbit, e.g. 'relativeOrbitNumber_start'
+};
+
+// Merge the options of the calling script with the defaults
+function withDefaults(options) {
+  var merged = {};
+  options = options || {};
+  Object.keys(defaults).forEach(function(key) {
+    merged[key] = options[key] !== undefined ? options[key] : defaults[key];
+  });
+  return merged;
+}
+
+// Candidate windows with coverage by the given collection
+function windows(aoi, coverage, options) {
+  var opts = withDefaults(options);
+  var chirps = ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY').select('precipitation');
+  var searchStart = ee.Date(opts.searchStart);
+  var windowCount = ee.Date(opts.searchEnd).difference(searchStart, 'day').divide(opts.windowDays).floor();
+
+  function precipitation(from, to) {
+    return chirps.filterDate(from, to).sum().reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: aoi,
+      scale: 5566,
+      maxPixels: 1e13
+    }).get('precipitation');
+  }
+
+  return ee.FeatureCollection(ee.List.sequence(0, windowCount.subtract(1)).map(function(i) {
+    var start = searchStart.advance(ee.Number(i).multiply(opts.windowDays), 'day');
+    var end = start.advance(opts.windowDays, 'day');
+    var images = coverage.filterDate(start, end);
+    return ee.Feature(null, {
+      'start': start.format('YYYY-MM-dd'),
+      'end': end.format('YYYY-MM-dd'),
+      'start_millis': start.millis(),
+      'end_millis': end.millis(),
+      'antecedent_mm': precipitation(start.advance(-opts.antecedentDays, 'day'), start),
+      'window_mm': precipitation(start, end),
+      'images': images.size(),
+      'orbits': opts.orbitProperty ? images.aggregate_array(opts.orbitProperty).distinct() : ee.List([])
+    });
+  })).filter(ee.Filter.gt('images', 0));
+}
+
+// Wet window: highest precipitation in the antecedent days
+function wetWindow(candidates) {
+  return ee.Feature(candidates.sort('antecedent_mm', false).first());
+}
+
+// Dry window candidates: windows ending before the wet window starts and, when the relative orbits
+// are recorded, sharing at least one relative orbit with the wet window
+function dryCandidates(candidates, wet, options) {
+  var opts = withDefaults(options);
+  var before = candidates.filter(ee.Filter.lte('end_millis', wet.get('start_millis')));
+  if (!opts.orbitProperty) {
+    return before;
+  }
+  var wetOrbits = ee.List(wet.get('orbits'));
+  return before.map(function(candidate) {
+    var shared = ee.List(candidate.get('orbits')).filter(ee.Filter.inList('item', wetOrbits));
+    return candidate.set('shared_orbits', shared.size());
+  }).filter(ee.Filter.gt('shared_orbits', 0));
+}
+
+// Dry window: lowest precipitation within the window among the dry window candidates
+function dryWindow(candidates) {
+  return ee.Feature(candidates.sort('window_mm').first());
+}
+
+exports.defaults = defaults;
+exports.windows = windows;
+exports.wetWindow = wetWindow;
+exports.dryCandidates = dryCandidates;
+exports.dryWindow = dryWindow;
\ No newline at end of file
@@ -0,0 +1,163 @@
+// Shared Optical Sensor Module for Google Earth Engine
+
+//---------------------NOTES-------------------------------------------------------------------//
+// This module:
+// 1. Loads cloud-masked imagery of an area and date range from one of:
+//    - 'S2': Sentinel-2 L1C or L2A, masked with cloudmask.js
+//    - 'L8L9': Landsat 8 and 9 Collection 2 Level-2 surface reflectance, masked with the QA_PIXEL band
+//    - 'HLS': Harmonized Landsat-Sentinel (HLSL30 and HLSS30), masked with the Fmask band
+//    - 'S2+L8L9': merged Sentinel-2 L2A and Landsat 8/9 collection (both surface reflectance)
+// 2. Scales the bands to reflectance (0-1) and renames them to common names
+//    (blue, green, red, nir, swir1, swir2, and rededge1-3 for Sentinel-2), so that any index
+//    can be computed from either sensor or the merged collection.
+// 3. Records the sensor and the scene cloud cover ('sensor', 'cloud_cover') on each image.
+// 4. Is loaded by veg.js, soil.js, water.js and classify.js with require(), e.g.
+//    var sensors = require('users/<username>/HydroecologicalRiparianZone:Scripts/sensors');
+//    cloudmask.js must be in the same repository.
+//-----------------------------------------------------------------------------------------------//
+
+var cloudmask = require('users/<username>/HydroecologicalRiparianZone:Scripts/cloudmask');
+
+// Default options, any option can be overridden by the calling script
+var defaults = {
+  productLevel: 'L1C',         // Sentinel-2 product level: 'L1C' or 'L2A'
+  cloudOptions: {},            // Sentinel-2 cloud masking options of cloudmask.js, buffer applies to all sensors
+  maxCloudCover: 20            // Maximum scene cloud cover (%)
+};
+
+// Common band names of all sensors
+var commonNames = ['blue', 'green', 'red', 'nir', 'swir1', 'swir2'];
+
+// Source bands of each sensor in the order of the common names
+var sensors = {
+  S2: {
+    bands: ['B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B11', 'B12'],
+    names: ['blue', 'green', 'red', 'rededge1', 'rededge2', 'rededge3', 'nir', 'swir1', 'swir2'],
+    cloudCover: 'CLOUDY_PIXEL_PERCENTAGE'
+  },
+  L8L9: {
+    collections: ['LANDSAT/LC08/C02/T1_L2', 'LANDSAT/LC09/C02/T1_L2'],
+    bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'],
+    cloudCover: 'CLOUD_COVER'
+  },
+  HLSL30: {
+    collections: ['NASA/HLS/HLSL30/v002'],
+    bands: ['B2', 'B3', 'B4', 'B5', 'B6', 'B7'],
+    cloudCover: 'CLOUD_COVERAGE'
+  },
+  HLSS30: {
+    collections: ['NASA/HLS/HLSS30/v002'],
+    bands: ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12'],
+    cloudCover: 'CLOUD_COVERAGE'
+  }
+};
+
+// Merge the options of the calling script with the defaults
+function withDefaults(options) {
+  var merged = {};
+  options = options || {};
+  Object.keys(defaults).forEach(function(key) {
+    merged[key] = options[key] !== undefined ? options[key] : defaults[key];
+  });
+  return merged;
+}
+
+// Dilation buffer of the cloud and shadow masks in meters
+function bufferOf(opts) {
+  return opts.cloudOptions.buffer !== undefined ? opts.cloudOptions.buffer : cloudmask.defaults.buffer;
+}
+
+// Common band names of the images loaded for a sensor
+function bandNames(sensor) {
+  return sensor == 'S2' ? sensors.S2.names : commonNames;
+}
+
+// Sentinel-2 ---------------------------------------------------------------------
+function loadS2(region, startDate, endDate, opts) {
+  var product = opts.productLevel == 'L2A' ? 'COPERNICUS/S2_SR_HARMONIZED' : 'COPERNICUS/S2_HARMONIZED';
+  var collection = ee.ImageCollection(product)
+    .filterBounds(region)
+    .filterDate(startDate, endDate)
+    .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', opts.maxCloudCover));
+  var cloudOptions = {region: region};
+  Object.keys(opts.cloudOptions).forEach(function(key) {
+    cloudOptions[key] = opts.cloudOptions[key];
+  });
+  collection = cloudmask.maskClouds(collection, cloudOptions);
+
+  // The SCL band of L2A images is kept for the scripts that classify bare soil or water by it
+  var bands = sensors.S2.bands;
+  var names = sensors.S2.names;
+  if (opts.productLevel == 'L2A') {
+    bands = bands.concat(['SCL']);
+    names = names.concat(['SCL']);
+  }
+  return collection.map(function(image) {
+    return image.addBands(image.select(sensors.S2.bands).divide(10000), null, true)
+      .select(bands, names)
+      .set('sensor', 'S2', 'cloud_cover', image.get('CLOUDY_PIXEL_PERCENTAGE'));
+  });
+}
+
+// Landsat 8/9 --------------------------------------------------------------------
+// QA_PIXEL bits 1 (dilated cloud), 2 (cirrus), 3 (cloud) and 4 (cloud shadow)
+function loadLandsat(region, startDate, endDate, opts) {
+  var sensor = sensors.L8L9;
+  var collection = ee.ImageCollection(sensor.collections[0])
+    .merge(ee.ImageCollection(sensor.collections[1]))
+    .filterBounds(region)
+    .filterDate(startDate, endDate)
+    .filter(ee.Filter.lt(sensor.cloudCover, opts.maxCloudCover));
+
+  return collection.map(function(image) {
+    var cloudy = image.select('QA_PIXEL').bitwiseAnd(parseInt('11110', 2)).neq(0);
+    var masked = image.updateMask(cloudmask.dilate(cloudy, bufferOf(opts)).not());
+    // Collection 2 surface reflectance = DN * 0.0000275 - 0.2
+    return masked.addBands(masked.select(sensor.bands).multiply(0.0000275).add(-0.2), null, true)
+      .select(sensor.bands, commonNames)
+      .set('sensor', 'L8L9', 'cloud_cover', image.get(sensor.cloudCover));
+  });
+}
+
+// HLS ----------------------------------------------------------------------------
+// Fmask bits 1 (cloud), 2 (adjacent to cloud/shadow) and 3 (cloud shadow), bands are already reflectance
+function loadHLS(region, startDate, endDate, opts) {
+  function load(sensor, name) {
+    return ee.ImageCollection(sensor.collections[0])
+      .filterBounds(region)
+      .filterDate(startDate, endDate)
+      .filter(ee.Filter.lt(sensor.cloudCover, opts.maxCloudCover))
+      .map(function(image) {
+        var cloudy = image.select('Fmask').bitwiseAnd(parseInt('1110', 2)).neq(0);
+        return image.updateMask(cloudmask.dilate(cloudy, bufferOf(opts)).not())
+          .select(sensor.bands, commonNames)
+          .set('sensor', name, 'cloud_cover', image.get(sensor.cloudCover));
+      });
+  }
+  return load(sensors.HLSL30, 'HLSL30').merge(load(sensors.HLSS30, 'HLSS30'));
+}
+
+// Load the cloud-masked collection of the selected sensor with common band names
+function load(sensor, region, startDate, endDate, options) {
+  var opts = withDefaults(options);
+  if (sensor == 'L8L9') {
+    return loadLandsat(region, startDate, endDate, opts);
+  }
+  if (sensor == 'HLS') {
+    return loadHLS(region, startDate, endDate, opts);
+  }
+  if (sensor == 'S2+L8L9') {
+    // Landsat is surface reflectance, so Sentinel-2 is always L2A regardless of productLevel
+    var s2Opts = withDefaults(opts);
+    s2Opts.productLevel = 'L2A';
+    return loadS2(region, startDate, endDate, s2Opts).select(commonNames)
+      .merge(loadLandsat(region, startDate, endDate, opts))
+      .sort('system:time_start');
+  }
+  return loadS2(region, startDate, endDate, opts);
+}
+
+exports.defaults = defaults;
+exports.commonNames = commonNames;
+exports.bandNames = bandNames;
+exports.load = load;
\ No newline at end of file
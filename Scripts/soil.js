@@ -3,14 +3,20 @@
 //--------------------NOTES--------------------------------------------------------------------//
 // This script:
 // 1. Uses Sentinel-2 multispectral satellite imagery to detect hydric soils extent.
-// 2. Calculates three spectral indices: Simple Ratio (SR), Difference Vegetation Index (DVI),
+// 2. Optionally builds a multi-year bare-soil composite of only the observations where each pixel
+// is exposed soil (NDVI, NBR2 and SCL classes), with an observation-count raster.
+// 3. Calculates three spectral indices: Simple Ratio (SR), Difference Vegetation Index (DVI),
 // and Clay Mineral Ratio (CMR).
-// 3. Normalizes the indices and thresholds to identify hydric soils pixels.
-// 4. Creates masks to exclude pixels in perennial waterbodies.
-// 5. Calculates the area of hydric soils pixels detected by each index.
-// 6. Visualizes results on the map & exports the hydric soils polygons 
+// 4. Normalizes the indices and thresholds to identify hydric soils pixels.
+// 5. Creates masks to exclude pixels in perennial waterbodies.
+// 6. Calculates the area of hydric soils pixels detected by each index.
+// 7. Optionally applies the thresholds to every observation (persistence mode) and maps the fraction
+// of valid observations of hydric soils with polygons at configurable frequency cut-offs.
+// 8. Combines the spectral masks with soil-survey polygons (drainage class or hydric rating) and/or
+// OpenLandMap clay content into a hydric soil likelihood surface and reports agreement areas.
+// 9. Visualizes results on the map & exports the hydric soils polygons 
 // as GeoJSON files to Google Drive.
-// 7. Uses examples from Google Earth Engine Help Documentation
+// 10. Uses examples from Google Earth Engine Help Documentation
 //-----------------------------------------------------------------------------------------------//
 
 //---------------------AREA OF INTEREST-----------------------------------------------------//
@@ -34,12 +40,112 @@ var aoi =
 // Select the dates after heavy precipitation (Oct 25, Dec 11)
 var startDate = '2023-10-01';
 var endDate = '2023-12-31';
+
+// Sentinel-2 product level: 'L1C' (top-of-atmosphere, COPERNICUS/S2_HARMONIZED) or
+// 'L2A' (surface reflectance, COPERNICUS/S2_SR_HARMONIZED, additionally masked by the SCL band)
+var productLevel = 'L1C';
+print('Sentinel-2 product level:', productLevel);
+
+// Cloud masking method: 'QA60', 's2cloudless' or 'cloudscore' (Cloud Score+),
+// with the cloud probability / score thresholds and the mask dilation buffer in meters
+var cloudOptions = {method: 'QA60', cloudProbability: 50, cloudScore: 0.6, buffer: 0,
+    scl: productLevel == 'L2A'};
+
+// Optical sensor: 'S2' (Sentinel-2), 'L8L9' (Landsat 8/9 Collection 2), 'HLS' (Harmonized
+// Landsat-Sentinel) or 'S2+L8L9' (merged Sentinel-2 and Landsat 8/9). The product level and
+// cloud masking method above apply to Sentinel-2, the buffer to all sensors. 'S2+L8L9' always uses
+// Sentinel-2 L2A so that both sensors are surface reflectance
+var sensor = 'S2';
+print('Optical sensor:', sensor);
+
+// Load the shared sensor module, update the path to your copy of sensors.js (and cloudmask.js)
+var sensors = require('users/<username>/HydroecologicalRiparianZone:Scripts/sensors');
+
+// Set auto_dates to true to replace the dates above with the wettest post-rain window proposed from
+// CHIRPS daily precipitation (highest antecedent precipitation) with coverage by the selected sensor
+var auto_dates = false;
+var precip_search_start = '2023-09-01';
+var precip_search_end = '2023-12-31';
+var window_days = 30;        // Length of the candidate windows in days
+var antecedent_days = 7;     // Days of precipitation preceding a window
+
+// Propose the wet window from precipitation and print the rationale to the console
+if (auto_dates) {
+  // Load the shared precipitation window module, update the path to your copy of precipitation.js
+  var precipitation = require('users/<username>/HydroecologicalRiparianZone:Scripts/precipitation');
+  var precipOptions = {searchStart: precip_search_start, searchEnd: precip_search_end,
+      windowDays: window_days, antecedentDays: antecedent_days};
+
+  var coverage = sensors.load(sensor, aoi, precip_search_start, precip_search_end,
+      {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 20});
+  var windows = precipitation.windows(aoi, coverage, precipOptions);
+  print('Candidate windows with ' + sensor + ' coverage', ui.Chart.feature.byFeature(windows, 'start',
+    ['end', 'antecedent_mm', 'window_mm', 'images']).setChartType('Table'));
+
+  var wet_window = precipitation.wetWindow(windows);
+  startDate = ee.Date(wet_window.get('start'));
+  endDate = ee.Date(wet_window.get('end'));
+
+  print(ee.String('Wet window proposed: ').cat(wet_window.get('start')).cat(' to ').cat(wet_window.get('end'))
+    .cat(', highest precipitation in the preceding ' + antecedent_days + ' days (mm): ')
+    .cat(ee.Number(wet_window.get('antecedent_mm')).format('%.1f')));
+}
   
-// Load the Sentinel-2 image collection
-var collection = ee.ImageCollection('COPERNICUS/S2_HARMONIZED')
-    .filterBounds(aoi)
-    .filterDate(startDate, endDate)
-    .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 20));
+// Bare-soil composite mode: compute the indices on a multi-year composite of only the observations
+// where each pixel is exposed soil, instead of the median of every scene from startDate to endDate
+var bareSoilMode = false;
+var bareSoilStart = '2019-01-01';
+var bareSoilEnd = '2023-12-31';
+var bareSoilNDVI = [-0.25, 0.25];   // NDVI range of bare soil
+var bareSoilNBR2 = [-0.3, 0.075];   // NBR2 range of bare soil (excludes moist crop residues)
+var bareSoilSCL = [5];              // Sentinel-2 L2A only: SCL classes of bare soil (5 not vegetated)
+var minBareObservations = 3;        // Pixels with fewer bare-soil observations are masked
+
+if (bareSoilMode) {
+  startDate = bareSoilStart;
+  endDate = bareSoilEnd;
+  print('Bare-soil composite mode from ' + bareSoilStart + ' to ' + bareSoilEnd);
+}
+
+// Hydric soil likelihood: combine the spectral masks with the soil survey and/or clay content below
+// Soil-survey polygons (e.g. SSURGO or a provincial soil survey) with an attribute holding the
+// drainage class or hydric rating, set to null to skip
+var soilSurveyAsset = null;
+var soilSurveyProperty = 'drainage';
+var hydricValues = ['poorly drained', 'very poorly drained'];   // Attribute values of hydric soils
+
+// OpenLandMap clay content (% at the surface) above which soils are likely hydric
+var useClay = false;
+var minClay = 25;
+
+// Persistence mode: apply the thresholds to every cloud-free observation instead of the median
+// and map the fraction of valid observations exceeding them, with polygons at each frequency cut-off
+var persistenceMode = false;
+var persistenceCutoffs = [0.25, 0.5, 0.75];
+
+// Load the cloud-masked image collection, scaled to reflectance (0-1) with common band names
+// (blue, green, red, nir, swir1, swir2, and rededge1-3 for Sentinel-2)
+var collection = sensors.load(sensor, aoi, startDate, endDate,
+    {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 20});
+
+// Keep only the observations where the pixel is exposed soil by NDVI, NBR2 and SCL classes
+function maskBareSoil(image){
+  var ndvi = image.normalizedDifference(['nir', 'red']);
+  var nbr2 = image.normalizedDifference(['swir1', 'swir2']);
+  var bare = ndvi.gte(bareSoilNDVI[0]).and(ndvi.lte(bareSoilNDVI[1]))
+    .and(nbr2.gte(bareSoilNBR2[0])).and(nbr2.lte(bareSoilNBR2[1]));
+  if (sensor == 'S2' && productLevel == 'L2A') {
+    bare = bare.and(image.select('SCL').remap(bareSoilSCL, ee.List.repeat(1, bareSoilSCL.length), 0));
+  }
+  return image.updateMask(bare);
+}
+
+if (bareSoilMode) {
+  collection = collection.map(maskBareSoil);
+}
+
+// Number of (bare-soil) observations of each pixel
+var observationCount = collection.select('red').count().rename('observations').clip(aoi);
 
 // Function to identify selected images 
 function dates(imgcol){
@@ -65,22 +171,11 @@ var swater = ee.Image('JRC/GSW1_4/GlobalSurfaceWater').select('seasonality');
 // Map function to calculate DVI, CMR for each image in the collection
 var withIndices = collection.map(function(image)
 {
-  // Select the QA60 band (cloud and shadow flags)
-    var qa = image.select('QA60');
-    
-  // Define bit positions for cloud and shadow (bit 10 for clouds, bit 11 for shadows)
-    var cloudBit = 10;
-    var shadowBit = 11;
-    
-  // Bitwise operations to extract cloud and shadow flags
-    var clouds = qa.bitwiseAnd(Math.pow(2, cloudBit)).neq(0);  // Cloud bit mask
-    var shadows = qa.bitwiseAnd(Math.pow(2, shadowBit)).neq(0);  // Shadow bit mask
-    
   // Bands needed for indices
-    var red = image.select('B4');  // Red band
-    var nir = image.select('B8');  // Near-Infrared band
-    var swir1 = image.select('B11');  // SWIR1 band
-    var swir2 = image.select('B12');  // SWIR2 band
+    var red = image.select('red');  // Red band
+    var nir = image.select('nir');  // Near-Infrared band
+    var swir1 = image.select('swir1');  // SWIR1 band
+    var swir2 = image.select('swir2');  // SWIR2 band
   
   // Calculate SR, DVI, CMR
     
@@ -88,13 +183,8 @@ var withIndices = collection.map(function(image)
     var dvi = nir.subtract(red).rename('DVI');
     var cmr = swir1.divide(swir2).rename('CMR');
   
-  // Mask clouds and shadows from each index
-    var maskedSR = sr.updateMask(clouds.not().and(shadows.not()));
-    var maskedDVI = dvi.updateMask(clouds.not().and(shadows.not()));
-    var maskedCMR = cmr.updateMask(clouds.not().and(shadows.not()));
-  
-  // Add the masked indices as new bands to the image
-    return image.addBands(maskedSR).addBands(maskedDVI).addBands(maskedCMR);
+  // Add the indices as new bands to the image
+    return image.addBands(sr).addBands(dvi).addBands(cmr);
 });
 
 //--------------------HYDRIC SOIL EXTENT-----------------------------------------------//
@@ -104,6 +194,24 @@ var medianSR = withIndices.select('SR').median().clip(aoi);
 var medianDVI = withIndices.select('DVI').median().clip(aoi);
 var medianCMR = withIndices.select('CMR').median().clip(aoi);
 
+// Mask pixels where the bare-soil evidence is too sparse
+var sparseBareSoil = observationCount.lt(minBareObservations).selfMask();
+if (bareSoilMode) {
+  medianSR = medianSR.updateMask(observationCount.gte(minBareObservations));
+  medianDVI = medianDVI.updateMask(observationCount.gte(minBareObservations));
+  medianCMR = medianCMR.updateMask(observationCount.gte(minBareObservations));
+
+  var sparseArea = sparseBareSoil.multiply(ee.Image.pixelArea()).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: aoi,
+    scale: 10,
+    maxPixels: 1e13,
+    bestEffort: false
+  });
+  print('Area with fewer than ' + minBareObservations + ' bare-soil observations (ha):',
+    ee.Number(sparseArea.get('observations')).divide(10000).round());
+}
+
 // Min-Max normalization--------------------------
 // Normalize the indices to a range of [0, 1] for comparison
 // Calculate min and max values for each index
@@ -278,6 +386,57 @@ var cmrconnections = cmr.connectedPixelCount();
 var cmr = cmr.updateMask(cmrconnections.gte(10));
 
 
+//--------------------HYDRIC SOIL PERSISTENCE---------------------------------------------//
+
+// Thresholds applied to every cloud-free observation: fraction of the valid observations of each pixel
+// exceeding the threshold of each index, and persistent polygons at each frequency cut-off
+var persistence = {};
+if (persistenceMode) {
+  // Number of valid (cloud-free) observations of each pixel
+  var validObservations = withIndices.select('SR').count().rename('observations').clip(aoi);
+
+  // Index, min, range and threshold of the normalization, true where values above the threshold are kept
+  var persistenceIndices = [
+    ['SR', minSR.get('SR'), sr_range, sr_th, false],
+    ['DVI', minDVI.get('DVI'), dvi_range, dvi_th, false],
+    ['CMR', minCMR.get('CMR'), cmr_range, cmr_th, false]
+  ];
+
+  persistenceIndices.forEach(function(entry){
+    var index = entry[0];
+    var frequency = withIndices.select(index).map(function(image){
+      var norm = image.subtract(ee.Number(entry[1])).divide(entry[2]);
+      return entry[4] ? norm.gt(entry[3]) : norm.lt(entry[3]);
+    }).mean().rename(index).clip(aoi);
+    persistence[index] = {frequency: frequency, polygons: {}};
+
+    persistenceCutoffs.forEach(function(cutoff){
+      var persistent = frequency.gte(cutoff).where(swater_mask, 0);
+      persistent = persistent.updateMask(persistent);
+      persistent = persistent.updateMask(persistent.connectedPixelCount().gte(10));
+      persistence[index].polygons[cutoff] = persistent.reduceToVectors({
+        reducer: ee.Reducer.countEvery(),
+        geometry: aoi,
+        bestEffort: true,
+        maxPixels: 1e13,
+        scale: 10
+      }).map(function(feature){
+        return feature.set('cutoff', cutoff);
+      });
+
+      var stats = persistent.multiply(ee.Image.pixelArea()).reduceRegion({
+        reducer: ee.Reducer.sum(),
+        geometry: aoi,
+        scale: 10,
+        maxPixels: 1e13,
+        bestEffort: false
+      });
+      print(index + ' hydric in at least ' + cutoff * 100 + '% of observations (ha):',
+        ee.Number(stats.get(index)).divide(10000).round());
+    });
+  });
+}
+
 //--------------------HYDRIC SOIL POLYGONS---------------------------------------------//
   
 // Convert the soil masks to polygons for each index
@@ -355,11 +514,77 @@ print('Soil pixels area detected using SR (ha):', SRAreaHa);
 print('Soil pixels area detected using DVI (ha):', DVIAreaHa);
 print('Soil pixels area detected using CMR (ha):', CMRAreaHa);
 
+//--------------------HYDRIC SOIL LIKELIHOOD------------------------------------------//
+
+// Spectral evidence: fraction of the indices (SR, DVI, CMR) detecting a hydric soil pixel
+var spectralEvidence = sr.unmask(0).add(dvi.unmask(0)).add(cmr.unmask(0)).divide(3)
+  .rename('spectral').clip(aoi);
+// Spectral hydric soils detected by at least 2 indices
+var spectralHydric = spectralEvidence.gte(2 / 3);
+
+// Survey and soil property evidence, 1 where the soil is hydric and 0 where it is not.
+// Pixels outside the survey polygons stay masked (unknown) and only the other evidence is combined there
+var evidence = [spectralEvidence];
+var ancillary = [];
+
+if (soilSurveyAsset) {
+  var soilSurvey = ee.FeatureCollection(soilSurveyAsset).filterBounds(aoi).map(function(feature){
+    return feature.set('hydric',
+      ee.Algorithms.If(ee.List(hydricValues).contains(feature.get(soilSurveyProperty)), 1, 0));
+  });
+  var surveyHydric = soilSurvey.reduceToImage(['hydric'], ee.Reducer.first())
+    .rename('survey').clip(aoi);
+  evidence.push(surveyHydric);
+  ancillary.push(['Soil survey', surveyHydric]);
+}
+
+if (useClay) {
+  var clay = ee.Image('OpenLandMap/SOL/SOL_CLAY-WFRACTION_USDA-3A1A1A_M/v02').select('b0');
+  var clayHydric = clay.gte(minClay).rename('clay').clip(aoi);
+  evidence.push(clayHydric);
+  ancillary.push(['Clay content', clayHydric]);
+}
+
+// Likelihood: mean of the spectral, survey and soil property evidence available at each pixel, from 0 to 1
+var hydricLikelihood = ee.ImageCollection(evidence.map(function(image){
+  return image.rename('likelihood').toFloat();
+})).mean().rename('likelihood');
+
+// Agreement areas between the spectral and each ancillary evidence where the ancillary evidence has data:
+// 1 ancillary only, 2 spectral only, 3 both
+function agreementAreas(ancillaryHydric, label){
+  var agreement = spectralHydric.multiply(2).add(ancillaryHydric).rename('agreement');
+  var stats = ee.Image.pixelArea().addBands(agreement).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'agreement'}),
+    geometry: aoi,
+    scale: 10,
+    maxPixels: 1e13,
+    bestEffort: false
+  });
+  var areas = ee.Dictionary(ee.List(stats.get('groups')).iterate(function(group, areas){
+    group = ee.Dictionary(group);
+    return ee.Dictionary(areas).set(ee.Number(group.get('agreement')).format('%d'),
+      ee.Number(group.get('sum')).divide(10000).round());
+  }, ee.Dictionary({'0': 0, '1': 0, '2': 0, '3': 0})));
+  print('Hydric soils (ha), spectral and ' + label + ':', areas.get('3'));
+  print('Hydric soils (ha), spectral only (not ' + label + '):', areas.get('2'));
+  print('Hydric soils (ha), ' + label + ' only (not spectral):', areas.get('1'));
+}
+
+ancillary.forEach(function(entry){
+  agreementAreas(entry[1], entry[0]);
+});
+
 //------------------------------  DISPLAY PRODUCTS  ----------------------------------------//
 
 // Visualize the soil pixels
 Map.centerObject(aoi, 12);
 
+if (bareSoilMode) {
+  Map.addLayer(observationCount, {min: 0, max: 20, palette: ['white', 'a63603']}, 'Bare-soil observations', 0);
+  Map.addLayer(sparseBareSoil, {palette: ['grey']}, 'Sparse bare-soil evidence', 0);
+}
+
 Map.addLayer(medianSR, {}, 'median SR',0);
 Map.addLayer(medianDVI, {}, 'median DVI',0);
 Map.addLayer(medianCMR, {}, 'median CMR',0);
@@ -376,6 +601,18 @@ Map.addLayer(sr,{palette:['fe9929']},'SR masked');
 Map.addLayer(dvi,{palette:['brown']},'DVI masked');
 Map.addLayer(cmr,{palette:['a63603']},'CMR masked');
 
+if (persistenceMode) {
+  Map.addLayer(validObservations, {min: 0, max: 20, palette: ['white', 'black']}, 'Valid observations', 0);
+  Object.keys(persistence).forEach(function(index){
+    Map.addLayer(persistence[index].frequency, {min: 0, max: 1, palette: ['white', 'a63603']}, index + ' persistence', 0);
+  });
+}
+
+// Visualize the hydric soil likelihood from the spectral, survey and soil property evidence
+if (useClay || soilSurveyAsset) {
+  Map.addLayer(hydricLikelihood, {min: 0, max: 1, palette: ['ffffd4', 'fe9929', '993404']}, 'Hydric soil likelihood', 0);
+}
+
 // Visualize the polygons (areas of soil detected by each index)
 Map.addLayer(polygonsSR, {color: 'fe9929'}, 'SR soil Polygons',0);
 Map.addLayer(polygonsDVI, {color: 'brown'}, 'DVI soil Polygons',0);
@@ -383,21 +620,71 @@ Map.addLayer(polygonsCMR, {color: 'a63603'}, 'CMR soil Polygons',0);
 
 
 //----------------------------------- EXPORT -----------------------------------------------//
+// Record the Sentinel-2 product level used on each exported polygon
+function labelProductLevel(feature){
+  return feature.set('product_level', productLevel);
+}
+
 Export.table.toDrive({
-  collection: polygonsSR,
+  collection: polygonsSR.map(labelProductLevel),
   description: 'soil_SR_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsDVI,
+  collection: polygonsDVI.map(labelProductLevel),
   description: 'soil_DVI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsCMR,
+  collection: polygonsCMR.map(labelProductLevel),
   description: 'soil_CMR_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
+
+if (useClay || soilSurveyAsset) {
+  Export.image.toDrive({
+    image: hydricLikelihood.toFloat(),
+    description: 'soil_Hydric_Likelihood',
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+}
+
+if (bareSoilMode) {
+  Export.image.toDrive({
+    image: observationCount.toInt16(),
+    description: 'soil_BareSoil_Observations',
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+}
+
+if (persistenceMode) {
+  Export.image.toDrive({
+    image: ee.Image(Object.keys(persistence).map(function(index){
+      return persistence[index].frequency;
+    })).addBands(validObservations).toFloat(),
+    description: 'soil_Persistence',
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+  Object.keys(persistence).forEach(function(index){
+    persistenceCutoffs.forEach(function(cutoff){
+      Export.table.toDrive({
+        collection: persistence[index].polygons[cutoff].map(labelProductLevel),
+        description: 'soil_' + index + '_Persistence_' + Math.round(cutoff * 100) + '_Polygon',
+        folder: 'ee_demos',
+        fileFormat: 'GeoJSON',
+      });
+    });
+  });
+}
@@ -0,0 +1,315 @@
+// Terrain Wetness Extent Detection using a Digital Elevation Model From Google Earth Engine
+
+//--------------------NOTES--------------------------------------------------------------------//
+// This script:
+// 1. Uses NASADEM or a user-supplied LiDAR DEM to detect terrain wetness extent.
+// 2. Calculates two terrain indices: Topographic Wetness Index (TWI), and
+// Multi-Resolution Valley Bottom Flatness index (MRVBF).
+// 3. Normalizes the indices and thresholds to identify wet terrain pixels.
+// 4. Creates masks to exclude pixels in perennial waterbodies.
+// 5. Calculates the area of wet terrain pixels detected by each index.
+// 6. Visualizes results on the map & exports the wet terrain polygons
+// as GeoJSON files to Google Drive.
+// 7. Uses examples from Google Earth Engine Help Documentation
+//-----------------------------------------------------------------------------------------------//
+
+//---------------------AREA OF INTEREST-----------------------------------------------------//
+
+// Define area of interest
+var aoi =
+    /* color: #bbd3ff */
+    /* displayProperties: [
+      {
+        "type": "rectangle"
+      }
+    ] */
+    ee.Geometry.Polygon(
+        [[[-123.74493562235533, 48.838063093667195],
+          [-123.74493562235533, 48.75664731717302],
+          [-123.60829316630064, 48.75664731717302],
+          [-123.60829316630064, 48.838063093667195]]], null, false);
+
+//--------------------DEM PARAMETERS--------------------------------------------------------//
+
+// DEM: NASADEM unless the path of a LiDAR DEM asset is set
+var demAsset = null;
+// Resolution of the DEM in meters (30 for NASADEM), set it to the resolution of the LiDAR DEM asset.
+// Used as the scale of all reductions and polygons
+var demResolution = 30;
+var dem = demAsset ? ee.Image(demAsset).select(0).rename('elevation') :
+    ee.Image('NASA/NASADEM_HGT/001').select('elevation');
+print('DEM:', demAsset ? demAsset : 'NASA/NASADEM_HGT/001', 'Resolution (m):', demResolution);
+
+// Upstream drainage area for the TWI: MERIT Hydro (km², ~90 m) unless the path of a flow
+// accumulation asset (number of upstream cells) derived from the LiDAR DEM is set
+var flowAccumulationAsset = null;
+
+// MRVBF: number of resolution steps and the slope threshold (%) of the first step,
+// the slope threshold halves and the smoothing radius triples at each step
+var mrvbfSteps = 4;
+var mrvbfSlopeThreshold = 16;
+
+// Include JRC layer on surface water seasonality to mask pixels from areas
+// of "permanent" water (where there is water > 10 months of the year)
+var swater = ee.Image('JRC/GSW1_4/GlobalSurfaceWater').select('seasonality');
+
+//--------------------CALCULATE INDICES-----------------------------------------------------//
+
+// Topographic Wetness Index = ln(a / tan(slope)), a = specific catchment area (m² per m of contour)
+var slope = ee.Terrain.slope(dem);
+var tanSlope = slope.multiply(Math.PI / 180).tan().max(0.001);
+
+var catchmentArea = flowAccumulationAsset ?
+    ee.Image(flowAccumulationAsset).select(0).add(1).multiply(demResolution) :
+    ee.Image('MERIT/Hydro/v1_0_1').select('upa').multiply(1e6).divide(90);
+
+var twi = catchmentArea.divide(tanSlope).log().rename('TWI').clip(aoi);
+
+// Multi-Resolution Valley Bottom Flatness (simplified from Gallant & Dowling, 2003)
+// At each step the DEM is smoothed, flatness is a function of slope and lowness a function of
+// the elevation relative to the neighbourhood, the valley bottom flatness (VBF) combines both
+function mrvbfIndex(dem){
+  var mrvbf = ee.Image(0);
+  for (var i = 0; i < mrvbfSteps; i++) {
+    var radius = 3 * demResolution * Math.pow(3, i);
+    var threshold = mrvbfSlopeThreshold / Math.pow(2, i);
+    var smoothed = i === 0 ? dem : dem.focalMean(radius / 3, 'circle', 'meters');
+
+    // Flatness from the slope in percent
+    var slopePct = ee.Terrain.slope(smoothed).multiply(Math.PI / 180).tan().multiply(100);
+    var flatness = ee.Image(1).divide(ee.Image(1).add(slopePct.divide(threshold).pow(4)));
+
+    // Lowness from the elevation relative to the minimum and maximum within the radius
+    var low = smoothed.focalMin(radius, 'circle', 'meters');
+    var high = smoothed.focalMax(radius, 'circle', 'meters');
+    var relative = smoothed.subtract(low).divide(high.subtract(low).max(0.001));
+    var lowness = ee.Image(1).divide(ee.Image(1).add(relative.divide(0.4).pow(3)));
+
+    var vbf = flatness.multiply(lowness);
+    var weight = ee.Image(1).subtract(ee.Image(1).divide(ee.Image(1).add(vbf.divide(0.4).pow(6))));
+    mrvbf = i === 0 ? vbf : weight.multiply(vbf.add(i)).add(ee.Image(1).subtract(weight).multiply(mrvbf));
+  }
+  return mrvbf;
+}
+
+var mrvbf = mrvbfIndex(dem).rename('MRVBF').clip(aoi);
+
+//--------------------TERRAIN WETNESS EXTENT-----------------------------------------------//
+
+// Min-Max normalization--------------------------
+// Normalize the indices to a range of [0, 1] for comparison
+// Calculate min and max values for each index
+var minTWI = twi.reduceRegion({
+    reducer: ee.Reducer.min(),
+    geometry: aoi,
+    scale: demResolution,
+    maxPixels: 1e13
+});
+
+var maxTWI = twi.reduceRegion({
+  reducer: ee.Reducer.max(),
+  geometry: aoi,
+  scale: demResolution,
+  maxPixels: 1e13
+});
+
+var minMRVBF = mrvbf.reduceRegion({
+    reducer: ee.Reducer.min(),
+    geometry: aoi,
+    scale: demResolution,
+    maxPixels: 1e13
+});
+
+var maxMRVBF = mrvbf.reduceRegion({
+  reducer: ee.Reducer.max(),
+  geometry: aoi,
+  scale: demResolution,
+  maxPixels: 1e13
+});
+
+// Normalize to [0, 1]
+// Normalized index = (index - min(index)) / (max(index) - min(index))
+var twi_range= ee.Number(maxTWI.get('TWI')).subtract(ee.Number(minTWI.get('TWI')));
+var twi_subtctMin = twi.subtract(ee.Number(minTWI.get('TWI')));
+var TWInorm = twi_subtctMin.divide(twi_range);
+
+var mrvbf_range= ee.Number(maxMRVBF.get('MRVBF')).subtract(ee.Number(minMRVBF.get('MRVBF')));
+var mrvbf_subtctMin = mrvbf.subtract(ee.Number(minMRVBF.get('MRVBF')));
+var MRVBFnorm = mrvbf_subtctMin.divide(mrvbf_range);
+
+// Plot histograms of normalized indices
+var twiHistogram = ui.Chart.image.histogram({
+  image: TWInorm,
+  region: aoi,
+  scale: demResolution,
+  maxPixels: 1e13
+});
+
+var mrvbfHistogram = ui.Chart.image.histogram({
+  image: MRVBFnorm,
+  region: aoi,
+  scale: demResolution,
+  maxPixels: 1e13
+});
+
+print('Normalized TWI Histogram',twiHistogram);
+print('Normalized MRVBF Histogram',mrvbfHistogram);
+
+// Thresholding -----------------------
+// Isolates potential wet terrain by comparing normalized values to a calculated threshold
+// Calculate mean and standard deviation for each index
+var twi_mean = TWInorm.reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: aoi,
+    scale: demResolution,
+    maxPixels: 1e13
+});
+
+var twi_std = TWInorm.reduceRegion({
+    reducer: ee.Reducer.stdDev(),
+    geometry: aoi,
+    scale: demResolution,
+    maxPixels: 1e13
+});
+
+var mrvbf_mean = MRVBFnorm.reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: aoi,
+    scale: demResolution,
+    maxPixels: 1e13
+});
+
+var mrvbf_std = MRVBFnorm.reduceRegion({
+    reducer: ee.Reducer.stdDev(),
+    geometry: aoi,
+    scale: demResolution,
+    maxPixels: 1e13
+});
+
+// Threshold = Mean + k * Standard Deviation
+// k = 0.1 as for the soil and moisture factors
+var twi_th = ee.Number(twi_mean.get('TWI')).add(ee.Number(0.1).multiply(ee.Number(twi_std.get('TWI'))));
+var mrvbf_th = ee.Number(mrvbf_mean.get('MRVBF')).add(ee.Number(0.1).multiply(ee.Number(mrvbf_std.get('MRVBF'))));
+
+print('TWI Min, Max, Mean, STD, Threshold = ', minTWI.get('TWI'), maxTWI.get('TWI'), twi_mean.get('TWI'), twi_std.get('TWI'), twi_th);
+print('MRVBF Min, Max, Mean, STD, Threshold = ', minMRVBF.get('MRVBF'), maxMRVBF.get('MRVBF'), mrvbf_mean.get('MRVBF'), mrvbf_std.get('MRVBF'), mrvbf_th);
+
+// Apply Threshold
+var twi_filtered = TWInorm.gt(twi_th);
+var mrvbf_filtered = MRVBFnorm.gt(mrvbf_th);
+
+// Masking -----------------------
+var swater_mask = swater.gte(10).updateMask(swater.gte(10));
+
+// Mask wet terrain pixels in perennial waterbodies
+var twi_mask = twi_filtered.where(swater_mask,0);
+var mrvbf_mask = mrvbf_filtered.where(swater_mask,0);
+
+// final layer without pixels in perennial waterbodies
+var twiWet = twi_mask.updateMask(twi_mask);
+var mrvbfWet = mrvbf_mask.updateMask(mrvbf_mask);
+
+// Compute connectivity of pixels to eliminate those connected to 10 or fewer neighbours
+// This operation reduces noise
+var twiconnections = twiWet.connectedPixelCount();
+twiWet = twiWet.updateMask(twiconnections.gte(10));
+
+var mrvbfconnections = mrvbfWet.connectedPixelCount();
+mrvbfWet = mrvbfWet.updateMask(mrvbfconnections.gte(10));
+
+
+//--------------------TERRAIN WETNESS POLYGONS---------------------------------------------//
+
+// Convert the terrain wetness masks to polygons for each index
+var polygonsTWI = twiWet.reduceToVectors({
+    reducer: ee.Reducer.countEvery(),
+    geometry: aoi,
+    bestEffort: true,
+    maxPixels: 1e13,
+    scale: demResolution
+});
+
+var polygonsMRVBF = mrvbfWet.reduceToVectors({
+    reducer: ee.Reducer.countEvery(),
+    geometry: aoi,
+    bestEffort: true,
+    maxPixels: 1e13,
+    scale: demResolution
+});
+
+
+//--------------------TERRAIN WETNESS AREA CALCULATION-------------------------------------//
+
+// Create a raster layer containing the area information of each pixel
+var TWIArea = twiWet.multiply(ee.Image.pixelArea());
+var MRVBFArea = mrvbfWet.multiply(ee.Image.pixelArea());
+
+// Sum of wet terrain pixels, set besteffort: 'false' for accurate results
+var TWIStats = TWIArea.reduceRegion({
+  reducer: ee.Reducer.sum(),
+  geometry: aoi,
+  scale: demResolution,
+  maxPixels: 1e13,
+  bestEffort: false
+});
+
+var MRVBFStats = MRVBFArea.reduceRegion({
+  reducer: ee.Reducer.sum(),
+  geometry: aoi,
+  scale: demResolution,
+  maxPixels: 1e13,
+  bestEffort: false
+});
+
+// Get total area (in m²) and convert to hectares
+var TWIAreaHa = TWIStats.get('TWI');
+TWIAreaHa = ee.Number(TWIAreaHa).divide(10000).round();
+
+var MRVBFAreaHa = MRVBFStats.get('MRVBF');
+MRVBFAreaHa = ee.Number(MRVBFAreaHa).divide(10000).round();
+
+// Print the total area for each index
+print('Wet terrain area detected using TWI (ha):', TWIAreaHa);
+print('Wet terrain area detected using MRVBF (ha):', MRVBFAreaHa);
+
+//------------------------------  DISPLAY PRODUCTS  ----------------------------------------//
+
+// Visualize the wet terrain pixels
+Map.centerObject(aoi, 12);
+
+Map.addLayer(dem.clip(aoi), {min: 0, max: 500}, 'DEM',0);
+Map.addLayer(twi, {}, 'TWI',0);
+Map.addLayer(mrvbf, {}, 'MRVBF',0);
+
+Map.addLayer(TWInorm,{},'TWI normalized',0);
+Map.addLayer(MRVBFnorm,{},'MRVBF normalized',0);
+
+Map.addLayer(twi_filtered,{},'TWI Threshold',0);
+Map.addLayer(mrvbf_filtered,{},'MRVBF Threshold',0);
+
+Map.addLayer(twiWet,{palette:['2c7fb8']},'TWI masked');
+Map.addLayer(mrvbfWet,{palette:['7fcdbb']},'MRVBF masked');
+
+// Visualize the polygons (areas of wet terrain detected by each index)
+Map.addLayer(polygonsTWI, {color: '2c7fb8'}, 'TWI wet terrain Polygons',0);
+Map.addLayer(polygonsMRVBF, {color: '7fcdbb'}, 'MRVBF wet terrain Polygons',0);
+
+
+//----------------------------------- EXPORT -----------------------------------------------//
+// Record the DEM used on each exported polygon
+function labelDEM(feature){
+  return feature.set('dem', demAsset ? demAsset : 'NASADEM');
+}
+
+Export.table.toDrive({
+  collection: polygonsTWI.map(labelDEM),
+  description: 'terrain_TWI_Polygon',
+  folder: 'ee_demos',
+  fileFormat: 'GeoJSON',
+});
+Export.table.toDrive({
+  collection: polygonsMRVBF.map(labelDEM),
+  description: 'terrain_MRVBF_Polygon',
+  folder: 'ee_demos',
+  fileFormat: 'GeoJSON',
+});
\ No newline at end of file
@@ -5,13 +5,17 @@
 // 1. Uses Sentinel-2 multispectral satellite imagery to detect dense vegetation extent.
 // 2. Calculates four spectral indices: Normalized Difference Vegetation Index (NDVI), Green 
 // Normalized Difference Vegetation Index (GNDVI), Enhanced Vegetation Index (EVI), 
-// and Soil-Adjusted Vegetation Index (SAVI).
+// and Soil-Adjusted Vegetation Index (SAVI), and four red-edge indices: Normalized Difference Red Edge (NDRE),
+// Red-Edge Chlorophyll Index (CIre), MERIS Terrestrial Chlorophyll Index (MTCI), and
+// Inverted Red-Edge Chlorophyll Index (IRECI).
 // 3. Normalizes the indices and thresholds to identify dense vegetation pixels.
 // 4. Identifies more than 5 pixel connectivity and reduces noise.
-// 5. Calculates the area of dense vegetation pixels detected by each index.
-// 6. Visualizes results on the map & exports the dense vegetation polygons 
+// 5. Optionally filters dense vegetation by canopy height (GEDI-derived global canopy height or a
+// LiDAR canopy height model) and reports the area each index loses to the filter.
+// 6. Calculates the area of dense vegetation pixels detected by each index.
+// 7. Visualizes results on the map & exports the dense vegetation polygons 
 // as GeoJSON files to Google Drive.
-// 7. Uses examples from Google Earth Engine Help Documentation
+// 8. Uses examples from Google Earth Engine Help Documentation
 //-----------------------------------------------------------------------------------------------//
 
 //---------------------AREA OF INTEREST-----------------------------------------------------//
@@ -35,12 +39,51 @@ var aoi =
 // Select the summer months (June 1st to August 31st)
 var startDate = '2023-06-01';
 var endDate = '2023-08-31';
+
+// Phenology mode: fit a harmonic regression to a multi-year NDVI or EVI time series of each pixel
+// to separate seasonally green (deciduous riparian) vegetation from evergreen conifer stands
+var phenologyMode = false;
+var phenologyStart = '2019-01-01';
+var phenologyEnd = '2023-12-31';
+var phenologyIndex = 'NDVI';            // 'NDVI' or 'EVI'
+var growingSeasonThreshold = 0.5;       // Index value above which a pixel is in its growing season
+// Riparian-like phenology: strong seasonal amplitude, high peak greenness, peak in summer
+var minAmplitude = 0.15;
+var minPeakGreenness = 0.7;
+var peakDayRange = [150, 250];          // Day of year of the peak greenness
+
+// Canopy height filter: keep only dense vegetation pixels with a canopy taller than minCanopyHeight (m)
+// to separate riparian woodland from tall grass and crops. By default uses the GEDI-derived global
+// canopy height (Lang et al. 2023, 10 m), set canopyHeightAsset to the path of a LiDAR canopy height
+// model (CHM) asset to use it instead
+var canopyHeightFilter = false;
+var canopyHeightAsset = null;
+var minCanopyHeight = 5;
   
-// Load the Sentinel-2 image collection
-var collection = ee.ImageCollection('COPERNICUS/S2_HARMONIZED')
-    .filterBounds(aoi)
-    .filterDate(startDate, endDate)
-    .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 20));
+// Sentinel-2 product level: 'L1C' (top-of-atmosphere, COPERNICUS/S2_HARMONIZED) or
+// 'L2A' (surface reflectance, COPERNICUS/S2_SR_HARMONIZED, additionally masked by the SCL band)
+var productLevel = 'L1C';
+print('Sentinel-2 product level:', productLevel);
+
+// Cloud masking method: 'QA60', 's2cloudless' or 'cloudscore' (Cloud Score+),
+// with the cloud probability / score thresholds and the mask dilation buffer in meters
+var cloudOptions = {method: 'QA60', cloudProbability: 50, cloudScore: 0.6, buffer: 0,
+    scl: productLevel == 'L2A'};
+
+// Optical sensor: 'S2' (Sentinel-2), 'L8L9' (Landsat 8/9 Collection 2), 'HLS' (Harmonized
+// Landsat-Sentinel) or 'S2+L8L9' (merged Sentinel-2 and Landsat 8/9). The product level and
+// cloud masking method above apply to Sentinel-2, the buffer to all sensors. 'S2+L8L9' always uses
+// Sentinel-2 L2A so that both sensors are surface reflectance
+var sensor = 'S2';
+print('Optical sensor:', sensor);
+
+// Load the shared sensor module, update the path to your copy of sensors.js (and cloudmask.js)
+var sensors = require('users/<username>/HydroecologicalRiparianZone:Scripts/sensors');
+
+// Load the cloud-masked image collection, scaled to reflectance (0-1) with common band names
+// (blue, green, red, nir, swir1, swir2, and rededge1-3 for Sentinel-2)
+var collection = sensors.load(sensor, aoi, startDate, endDate,
+    {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 20});
 
 // Function to identify selected images 
 function dates(imgcol){
@@ -59,41 +102,42 @@ print(ee.String('Images selected: ').cat('(').cat(img_count).cat(')'),
 
 //--------------------CALCULATE INDICES-----------------------------------------------------//
 
-// Map function to calculate spectral index for each image in the collection
-var withIndices = collection.map(function(image)
+// Function to calculate spectral index for each image in the collection
+function addIndices(image)
 {
-  // Select the QA60 band (cloud and shadow flags)
-    var qa = image.select('QA60');
-    
-  // Define bit positions for cloud and shadow (bit 10 for clouds, bit 11 for shadows)
-    var cloudBit = 10;
-    var shadowBit = 11;
-    
-  // Bitwise operations to extract cloud and shadow flags
-    var clouds = qa.bitwiseAnd(Math.pow(2, cloudBit)).neq(0);  // Cloud bit mask
-    var shadows = qa.bitwiseAnd(Math.pow(2, shadowBit)).neq(0);  // Shadow bit mask
-    
   // Bands needed for indices
-    var red = image.select('B4');  // Red band
-    var green = image.select('B3');  // Green band
-    var nir = image.select('B8');  // Near-Infrared band
-    var blue = image.select('B2');  // Blue band
+    var red = image.select('red');  // Red band
+    var green = image.select('green');  // Green band
+    var nir = image.select('nir');  // Near-Infrared band
+    var blue = image.select('blue');  // Blue band
   
   // Calculate NDVI, GNDVI, EVI, and SAVI
-    var ndvi = image.normalizedDifference(['B8', 'B4']).rename('NDVI');
-    var gndvi = image.normalizedDifference(['B8', 'B3']).rename('GNDVI');
-    var evi = nir.subtract(red).multiply(2.5).divide(nir.add(red.multiply(6)).subtract(blue.multiply(7.5)).add(10000)).rename('EVI');
+    var ndvi = image.normalizedDifference(['nir', 'red']).rename('NDVI');
+    var gndvi = image.normalizedDifference(['nir', 'green']).rename('GNDVI');
+    var evi = nir.subtract(red).multiply(2.5).divide(nir.add(red.multiply(6)).subtract(blue.multiply(7.5)).add(1)).rename('EVI');
     var savi = nir.subtract(red).divide(nir.add(red).add(0.5)).multiply(1.5).rename('SAVI');
   
-  // Mask clouds and shadows from each index
-    var maskedNDVI = ndvi.updateMask(clouds.not().and(shadows.not()));
-    var maskedGNDVI = gndvi.updateMask(clouds.not().and(shadows.not()));
-    var maskedEVI = evi.updateMask(clouds.not().and(shadows.not()));
-    var maskedSAVI = savi.updateMask(clouds.not().and(shadows.not()));
+  // Add the indices as new bands to the image
+    image = image.addBands(ndvi).addBands(gndvi).addBands(evi).addBands(savi);
+    
+  // Calculate red-edge indices NDRE, CIre, MTCI, and IRECI, the red-edge bands are Sentinel-2 only
+    if (sensor != 'S2') {
+      return image;
+    }
+    var re1 = image.select('rededge1');  // Red Edge 1 band
+    var re2 = image.select('rededge2');  // Red Edge 2 band
+    var re3 = image.select('rededge3');  // Red Edge 3 band
+    var ndre = image.normalizedDifference(['nir', 'rededge1']).rename('NDRE');
+    var cire = re3.divide(re1).subtract(1).rename('CIre');
+    // MTCI is undefined where red edge 1 does not exceed red (water, bare soil)
+    var mtci = re2.subtract(re1).divide(re1.subtract(red)).updateMask(re1.gt(red)).rename('MTCI');
+    var ireci = re3.subtract(red).divide(re1.divide(re2)).rename('IRECI');
   
-  // Add the masked indices as new bands to the image
-    return image.addBands(maskedNDVI).addBands(maskedGNDVI).addBands(maskedEVI).addBands(maskedSAVI);
-});
+  // Add the red-edge indices as new bands to the image
+    return image.addBands(ndre).addBands(cire).addBands(mtci).addBands(ireci);
+}
+
+var withIndices = collection.map(addIndices);
 
 //--------------------DENSE VEGETATION EXTENT-----------------------------------------------//
 
@@ -103,6 +147,15 @@ var medianGNDVI = withIndices.select('GNDVI').median().clip(aoi);
 var medianEVI = withIndices.select('EVI').median().clip(aoi);
 var medianSAVI = withIndices.select('SAVI').median().clip(aoi);
 
+// Red-edge indices go through the same chain, their results are kept per index
+// The red-edge bands are only available from Sentinel-2
+var redEdgeIndices = sensor == 'S2' ? ['NDRE', 'CIre', 'MTCI', 'IRECI'] : [];
+var redEdgeColors = {NDRE: '00441b', CIre: '006d2c', MTCI: '238b45', IRECI: '41ab5d'};
+var redEdge = {};
+redEdgeIndices.forEach(function(index){
+  redEdge[index] = {median: withIndices.select(index).median().clip(aoi)};
+});
+
 // Min-Max normalization
 // Calculate min and max values for each index
 var minNDVI = medianNDVI.reduceRegion({
@@ -180,6 +233,16 @@ var savi_range= ee.Number(maxSAVI.get('SAVI')).subtract(ee.Number(minSAVI.get('S
 var savi_subtctMin = medianSAVI.subtract(ee.Number(minSAVI.get('SAVI')));
 var SAVInorm = savi_subtctMin.divide(savi_range);
 
+// CIre and MTCI are unbounded ratios with outliers over water and bare soil, so the red-edge
+// indices are normalized between their 2nd and 98th percentiles and clamped to [0, 1]
+redEdgeIndices.forEach(function(index){
+  var re = redEdge[index];
+  re.min = re.median.reduceRegion({reducer: ee.Reducer.percentile([2]), geometry: aoi, scale: 10, maxPixels: 1e13});
+  re.max = re.median.reduceRegion({reducer: ee.Reducer.percentile([98]), geometry: aoi, scale: 10, maxPixels: 1e13});
+  var range = ee.Number(re.max.get(index)).subtract(ee.Number(re.min.get(index)));
+  re.norm = re.median.subtract(ee.Number(re.min.get(index))).divide(range).clamp(0, 1);
+});
+
 // Histograms show the distribution of pixel values in the area of interest
 var ndviHistogram = ui.Chart.image.histogram({
   image: NDVInorm,
@@ -213,6 +276,14 @@ print('Normalized NDVI Histogram',ndviHistogram);
 print('Normalized GNDVI Histogram',gndviHistogram);
 print('Normalized EVI Histogram',eviHistogram);
 print('Normalized SAVI Histogram',saviHistogram);
+redEdgeIndices.forEach(function(index){
+  print('Normalized ' + index + ' Histogram', ui.Chart.image.histogram({
+    image: redEdge[index].norm,
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  }));
+});
 
 // Thresholding -----------------------
 // Calculate the mean and standard deviation for each index
@@ -289,6 +360,15 @@ print('EVI Min, Max, Mean, STD, Threshold = ', minEVI.get('EVI'), maxEVI.get('EV
 print('SAVI Min, Max, Mean, STD, Threshold = ', minSAVI.get('SAVI'), maxSAVI.get('SAVI'), 
   savi_mean.get('SAVI'), savi_std.get('SAVI') ,savi_th);
 
+redEdgeIndices.forEach(function(index){
+  var re = redEdge[index];
+  re.mean = re.norm.reduceRegion({reducer: ee.Reducer.mean(), geometry: aoi, scale: 10, maxPixels: 1e13});
+  re.std = re.norm.reduceRegion({reducer: ee.Reducer.stdDev(), geometry: aoi, scale: 10, maxPixels: 1e13});
+  re.th = ee.Number(re.mean.get(index)).add(ee.Number(0.25).multiply(ee.Number(re.std.get(index))));
+  print(index + ' P2, P98, Mean, STD, Threshold = ', re.min.get(index), re.max.get(index),
+    re.mean.get(index), re.std.get(index), re.th);
+});
+
 
 // Apply Threshold
 var ndvi_filtered = NDVInorm.gt(ndvi_th);
@@ -316,6 +396,54 @@ var denseVegEVIclean= denseVegEVI.updateMask(EVIconnections.gte(10));
 var SAVIconnections= denseVegSAVI.connectedPixelCount();
 var denseVegSAVIclean= denseVegSAVI.updateMask(SAVIconnections.gte(10));
 
+// Apply threshold, masking and connectivity to the red-edge indices
+redEdgeIndices.forEach(function(index){
+  var re = redEdge[index];
+  re.filtered = re.norm.gt(re.th);
+  var denseVeg = re.filtered.updateMask(re.filtered);
+  re.clean = denseVeg.updateMask(denseVeg.connectedPixelCount().gte(10));
+});
+
+//--------------------CANOPY HEIGHT FILTER--------------------------------------------------//
+
+// Canopy height model, first band of the LiDAR CHM asset or the GEDI-derived global canopy height
+var canopyHeight = canopyHeightAsset ? ee.Image(canopyHeightAsset).select(0) :
+    ee.Image('users/nlang/ETH_GlobalCanopyHeight_2020_10m_v1');
+// Pixels without canopy height data are removed and counted as lost
+var tallCanopy = canopyHeight.gt(minCanopyHeight).unmask(0);
+
+// Area (ha) of the dense vegetation pixels removed by the canopy height filter
+function canopyFilterLoss(denseVeg, index){
+  var removed = denseVeg.updateMask(tallCanopy.not()).multiply(ee.Image.pixelArea());
+  var stats = removed.reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: aoi,
+    scale: 10,
+    maxPixels: 1e13,
+    bestEffort: false
+  });
+  return ee.Number(stats.get(index)).divide(10000).round();
+}
+
+if (canopyHeightFilter) {
+  print('Canopy height filter, minimum height (m):', minCanopyHeight);
+  print('NDVI dense vegetation removed by canopy height filter (ha):', canopyFilterLoss(denseVegNDVIclean, 'NDVI'));
+  print('GNDVI dense vegetation removed by canopy height filter (ha):', canopyFilterLoss(denseVegGNDVIclean, 'GNDVI'));
+  print('EVI dense vegetation removed by canopy height filter (ha):', canopyFilterLoss(denseVegEVIclean, 'EVI'));
+  print('SAVI dense vegetation removed by canopy height filter (ha):', canopyFilterLoss(denseVegSAVIclean, 'SAVI'));
+
+  denseVegNDVIclean = denseVegNDVIclean.updateMask(tallCanopy);
+  denseVegGNDVIclean = denseVegGNDVIclean.updateMask(tallCanopy);
+  denseVegEVIclean = denseVegEVIclean.updateMask(tallCanopy);
+  denseVegSAVIclean = denseVegSAVIclean.updateMask(tallCanopy);
+
+  redEdgeIndices.forEach(function(index){
+    var re = redEdge[index];
+    print(index + ' dense vegetation removed by canopy height filter (ha):', canopyFilterLoss(re.clean, index));
+    re.clean = re.clean.updateMask(tallCanopy);
+  });
+}
+
 //--------------------DENSE VEGETATION POLYGONS---------------------------------------------//
   
 // Convert the dense vegetation masks to polygons for each index
@@ -351,6 +479,16 @@ var polygonsSAVI = denseVegSAVIclean.reduceToVectors({
     scale: 10
   });
 
+redEdgeIndices.forEach(function(index){
+  redEdge[index].polygons = redEdge[index].clean.reduceToVectors({
+    reducer: ee.Reducer.countEvery(),
+    geometry: aoi, 
+    bestEffort: true,
+    maxPixels: 1e13,
+    scale: 10
+  });
+});
+
 //--------------------DENSE VEGETATION AREA CALCULATION-------------------------------------//
 
 // Create a raster layer containing the area information of each pixel 
@@ -407,6 +545,91 @@ print('Total area for NDVI dense vegetation (ha):', areaNDVI);
 print('Total area for GNDVI dense vegetation (ha):', areaGNDVI);
 print('Total area for EVI dense vegetation (ha):', areaEVI);
 print('Total area for SAVI dense vegetation (ha):', areaSAVI);
+redEdgeIndices.forEach(function(index){
+  var stats = redEdge[index].clean.multiply(ee.Image.pixelArea()).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: aoi, 
+    scale: 10,  
+    maxPixels: 1e13,
+    bestEffort: false
+  });
+  redEdge[index].area = ee.Number(stats.get(index)).divide(10000).round();
+  print('Total area for ' + index + ' dense vegetation (ha):', redEdge[index].area);
+});
+
+//--------------------PHENOLOGY (HARMONIC REGRESSION)---------------------------------------//
+
+// index = b0 + b1 * t + b2 * cos(2 * pi * t) + b3 * sin(2 * pi * t), t in years
+// Amplitude = sqrt(b2² + b3²), Phase = atan2(b3, b2) converted to the day of year of the peak
+if (phenologyMode) {
+  var phenologyCollection = sensors.load(sensor, aoi, phenologyStart, phenologyEnd,
+      {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 20})
+    .map(function(image){
+      var t = image.date().difference(ee.Date('1970-01-01'), 'year');
+      var timeRadians = ee.Image.constant(t).multiply(2 * Math.PI);
+      return ee.Image.constant(1).rename('constant')
+        .addBands(ee.Image.constant(t).rename('t').float())
+        .addBands(timeRadians.cos().rename('cos'))
+        .addBands(timeRadians.sin().rename('sin'))
+        .addBands(addIndices(image).select(phenologyIndex))
+        .copyProperties(image, ['system:time_start']);
+    });
+  print(ee.String('Images selected for phenology: ').cat('(').cat(phenologyCollection.size()).cat(')'),
+    dates(phenologyCollection));
+
+  var harmonicCoefficients = phenologyCollection
+    .select(['constant', 't', 'cos', 'sin', phenologyIndex])
+    .reduce(ee.Reducer.linearRegression({numX: 4, numY: 1}))
+    .select('coefficients')
+    .arrayProject([0])
+    .arrayFlatten([['constant', 't', 'cos', 'sin']])
+    .clip(aoi);
+
+  // Mean index level at the middle of the period, from the fitted trend
+  var tMid = ee.Date(phenologyStart).advance(ee.Date(phenologyEnd).difference(ee.Date(phenologyStart), 'day').divide(2), 'day')
+    .difference(ee.Date('1970-01-01'), 'year');
+  var meanLevel = harmonicCoefficients.select('constant')
+    .add(harmonicCoefficients.select('t').multiply(tMid));
+
+  var amplitude = harmonicCoefficients.select('cos').hypot(harmonicCoefficients.select('sin')).rename('amplitude');
+  var phase = harmonicCoefficients.select('sin').atan2(harmonicCoefficients.select('cos')).rename('phase');
+  var peakDay = phase.divide(2 * Math.PI).add(1).mod(1).multiply(365).rename('peak_day');
+  var peakGreenness = meanLevel.add(amplitude).rename('peak_greenness');
+
+  // Growing season length: days per year the fitted curve stays above the growing season threshold
+  var growingSeason = ee.Image.constant(growingSeasonThreshold).subtract(meanLevel).divide(amplitude)
+    .clamp(-1, 1).acos().divide(Math.PI).multiply(365).rename('growing_season_days');
+
+  var phenology = amplitude.addBands(phase).addBands(peakDay).addBands(peakGreenness).addBands(growingSeason);
+
+  // Riparian-like phenology mask and polygons
+  var riparianPhenology = amplitude.gt(minAmplitude)
+    .and(peakGreenness.gt(minPeakGreenness))
+    .and(peakDay.gte(peakDayRange[0]))
+    .and(peakDay.lte(peakDayRange[1]))
+    .rename('phenology');
+  riparianPhenology = riparianPhenology.updateMask(riparianPhenology);
+  var phenologyConnections = riparianPhenology.connectedPixelCount();
+  var riparianPhenologyClean = riparianPhenology.updateMask(phenologyConnections.gte(10));
+
+  var polygonsPhenology = riparianPhenologyClean.reduceToVectors({
+    reducer: ee.Reducer.countEvery(),
+    geometry: aoi, 
+    bestEffort: true,
+    maxPixels: 1e13,
+    scale: 10
+  });
+
+  var phenologyStats = riparianPhenologyClean.multiply(ee.Image.pixelArea()).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: aoi, 
+    scale: 10,  
+    maxPixels: 1e13,
+    bestEffort: false
+  });
+  var areaPhenology = ee.Number(phenologyStats.get('phenology')).divide(10000).round();
+  print('Total area for riparian-like ' + phenologyIndex + ' phenology (ha):', areaPhenology);
+}
 
 //------------------------------  DISPLAY PRODUCTS  ----------------------------------------//
 
@@ -417,52 +640,104 @@ Map.addLayer(NDVInorm,{},'Normalized NDVI',0);
 Map.addLayer(GNDVInorm,{},'Normalized GNDVI',0);
 Map.addLayer(EVInorm,{},'Normalized EVI',0);
 Map.addLayer(SAVInorm,{},'Normalized SAVI',0);
+redEdgeIndices.forEach(function(index){
+  Map.addLayer(redEdge[index].norm,{},'Normalized ' + index,0);
+});
 
 Map.addLayer(ndvi_filtered,{},'After Threshold NDVI',0);
 Map.addLayer(gndvi_filtered,{},'After Threshold GNDVI',0);
 Map.addLayer(evi_filtered,{},'After Threshold EVI',0);
 Map.addLayer(savi_filtered,{},'After Threshold SAVI',0);
+redEdgeIndices.forEach(function(index){
+  Map.addLayer(redEdge[index].filtered,{},'After Threshold ' + index,0);
+});
 
 Map.addLayer(medianNDVI,{},'median ndvi',0);
 Map.addLayer(medianGNDVI,{},'median gndvi',0);
 Map.addLayer(medianSAVI,{},'median savi',0);
 Map.addLayer(medianEVI,{},'median evi',0);
+redEdgeIndices.forEach(function(index){
+  Map.addLayer(redEdge[index].median,{},'median ' + index.toLowerCase(),0);
+});
 
 Map.addLayer(denseVegNDVIclean, {palette: ['009700']}, 'Dense Vegetation NDVI',0);
 Map.addLayer(denseVegGNDVIclean, {palette: ['2faf27']}, 'Dense Vegetation GNDVI',0);
 Map.addLayer(denseVegEVIclean, {palette: ['268d1f']}, 'Dense Vegetation EVI',0);
 Map.addLayer(denseVegSAVIclean, {palette: ['1d8d64']}, 'Dense Vegetation SAVI',0);
+redEdgeIndices.forEach(function(index){
+  Map.addLayer(redEdge[index].clean, {palette: [redEdgeColors[index]]}, 'Dense Vegetation ' + index,0);
+});
 
 // Visualize the polygons (areas of dense vegetation for each index)
 Map.addLayer(polygonsNDVI, {color: '00ff00'}, 'NDVI Vegetation Polygons',0);
 Map.addLayer(polygonsGNDVI, {color: '2faf27'}, 'GNDVI Vegetation Polygons',0);
 Map.addLayer(polygonsEVI, {color: '268d1f'}, 'EVI Vegetation Polygons',0);
 Map.addLayer(polygonsSAVI, {color: '1d8d64'}, 'SAVI Vegetation Polygons',0);
+redEdgeIndices.forEach(function(index){
+  Map.addLayer(redEdge[index].polygons, {color: redEdgeColors[index]}, index + ' Vegetation Polygons',0);
+});
 
 
+if (phenologyMode) {
+  Map.addLayer(amplitude, {min: 0, max: 0.4, palette: ['f7fcf5', '00441b']}, phenologyIndex + ' Amplitude',0);
+  Map.addLayer(peakDay, {min: 1, max: 365, palette: ['2c7bb6', 'ffffbf', 'd7191c']}, phenologyIndex + ' Peak Day',0);
+  Map.addLayer(growingSeason, {min: 0, max: 365, palette: ['f7fcf5', '00441b']}, 'Growing Season Length',0);
+  Map.addLayer(riparianPhenologyClean, {palette: ['e6ab02']}, 'Riparian-like Phenology',0);
+  Map.addLayer(polygonsPhenology, {color: 'e6ab02'}, 'Riparian-like Phenology Polygons',0);
+}
+
 //----------------------------------- EXPORT -----------------------------------------------//
+// Record the Sentinel-2 product level used on each exported polygon
+function labelProductLevel(feature){
+  return feature.set('product_level', productLevel);
+}
 
 Export.table.toDrive({
-  collection: polygonsNDVI,
+  collection: polygonsNDVI.map(labelProductLevel),
   description: 'veg_NDVI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsGNDVI,
+  collection: polygonsGNDVI.map(labelProductLevel),
   description: 'veg_GNDVI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsEVI,
+  collection: polygonsEVI.map(labelProductLevel),
   description: 'veg_EVI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsSAVI,
+  collection: polygonsSAVI.map(labelProductLevel),
   description: 'veg_SAVI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
-});
\ No newline at end of file
+});
+redEdgeIndices.forEach(function(index){
+  Export.table.toDrive({
+    collection: redEdge[index].polygons.map(labelProductLevel),
+    description: 'veg_' + index + '_Polygon',
+    folder: 'ee_demos',
+    fileFormat: 'GeoJSON',
+  });
+});
+
+if (phenologyMode) {
+  Export.image.toDrive({
+    image: phenology.toFloat(),
+    description: 'veg_Phenology_' + phenologyIndex + '_Harmonics',
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+  Export.table.toDrive({
+    collection: polygonsPhenology.map(labelProductLevel),
+    description: 'veg_Phenology_' + phenologyIndex + '_Polygon',
+    folder: 'ee_demos',
+    fileFormat: 'GeoJSON',
+  });
+}
\ No newline at end of file
@@ -8,9 +8,13 @@
 // 3. Normalizes the indices and thresholds to identify high moisture pixels.
 // 4. Creates masks to exclude pixels in perennial waterbodies.
 // 5. Calculates the area of high moisture pixels detected by each index.
-// 6. Visualizes results on the map & exports the high moisture polygons 
+// 6. Optionally applies the thresholds to every observation (persistence mode) and maps the fraction
+// of valid observations of high moisture with polygons at configurable frequency cut-offs.
+// 7. Optionally fuses the optical result with a Sentinel-1 VV surface moisture index (change against
+// a same-orbit dry reference), falling back to SAR where optical observations are missing, with a source flag.
+// 8. Visualizes results on the map & exports the high moisture polygons 
 // as GeoJSON files to Google Drive.
-// 7. Uses examples from Google Earth Engine Help Documentation
+// 9. Uses examples from Google Earth Engine Help Documentation
 //-----------------------------------------------------------------------------------------------//
 
 //---------------------AREA OF INTEREST-----------------------------------------------------//
@@ -34,12 +38,66 @@ var aoi =
 // Select the dates after heavy precipitation (Oct-Dec)
 var startDate = '2023-11-01';
 var endDate = '2023-12-31';
+
+// Sentinel-2 product level: 'L1C' (top-of-atmosphere, COPERNICUS/S2_HARMONIZED) or
+// 'L2A' (surface reflectance, COPERNICUS/S2_SR_HARMONIZED, additionally masked by the SCL band)
+var productLevel = 'L1C';
+print('Sentinel-2 product level:', productLevel);
+
+// Cloud masking method: 'QA60', 's2cloudless' or 'cloudscore' (Cloud Score+),
+// with the cloud probability / score thresholds and the mask dilation buffer in meters
+var cloudOptions = {method: 'QA60', cloudProbability: 50, cloudScore: 0.6, buffer: 0,
+    scl: productLevel == 'L2A'};
+
+// Optical sensor: 'S2' (Sentinel-2), 'L8L9' (Landsat 8/9 Collection 2), 'HLS' (Harmonized
+// Landsat-Sentinel) or 'S2+L8L9' (merged Sentinel-2 and Landsat 8/9). The product level and
+// cloud masking method above apply to Sentinel-2, the buffer to all sensors. 'S2+L8L9' always uses
+// Sentinel-2 L2A so that both sensors are surface reflectance
+var sensor = 'S2';
+print('Optical sensor:', sensor);
+
+// Load the shared sensor module, update the path to your copy of sensors.js (and cloudmask.js)
+var sensors = require('users/<username>/HydroecologicalRiparianZone:Scripts/sensors');
+
+// Set auto_dates to true to replace the dates above with the wettest post-rain window proposed from
+// CHIRPS daily precipitation (highest antecedent precipitation) with coverage by the selected sensor
+var auto_dates = false;
+var precip_search_start = '2023-09-01';
+var precip_search_end = '2023-12-31';
+var window_days = 30;        // Length of the candidate windows in days
+var antecedent_days = 7;     // Days of precipitation preceding a window
+
+// Propose the wet window from precipitation and print the rationale to the console
+if (auto_dates) {
+  // Load the shared precipitation window module, update the path to your copy of precipitation.js
+  var precipitation = require('users/<username>/HydroecologicalRiparianZone:Scripts/precipitation');
+  var precipOptions = {searchStart: precip_search_start, searchEnd: precip_search_end,
+      windowDays: window_days, antecedentDays: antecedent_days};
+
+  var coverage = sensors.load(sensor, aoi, precip_search_start, precip_search_end,
+      {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 10});
+  var windows = precipitation.windows(aoi, coverage, precipOptions);
+  print('Candidate windows with ' + sensor + ' coverage', ui.Chart.feature.byFeature(windows, 'start',
+    ['end', 'antecedent_mm', 'window_mm', 'images']).setChartType('Table'));
+
+  var wet_window = precipitation.wetWindow(windows);
+  startDate = ee.Date(wet_window.get('start'));
+  endDate = ee.Date(wet_window.get('end'));
+
+  print(ee.String('Wet window proposed: ').cat(wet_window.get('start')).cat(' to ').cat(wet_window.get('end'))
+    .cat(', highest precipitation in the preceding ' + antecedent_days + ' days (mm): ')
+    .cat(ee.Number(wet_window.get('antecedent_mm')).format('%.1f')));
+}
   
-// Load the Sentinel-2 image collection
-var collection = ee.ImageCollection('COPERNICUS/S2_HARMONIZED')
-    .filterBounds(aoi)
-    .filterDate(startDate, endDate)
-    .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 10));
+// Persistence mode: apply the thresholds to every cloud-free observation instead of the median
+// and map the fraction of valid observations exceeding them, with polygons at each frequency cut-off
+var persistenceMode = false;
+var persistenceCutoffs = [0.25, 0.5, 0.75];
+
+// Load the cloud-masked image collection, scaled to reflectance (0-1) with common band names
+// (blue, green, red, nir, swir1, swir2, and rededge1-3 for Sentinel-2)
+var collection = sensors.load(sensor, aoi, startDate, endDate,
+    {productLevel: productLevel, cloudOptions: cloudOptions, maxCloudCover: 10});
 
 // Function to identify selected images 
 function dates(imgcol){
@@ -56,6 +114,16 @@ var img_count = collection.size();
 print(ee.String('Images selected: ').cat('(').cat(img_count).cat(')'),
       dates(collection), collection);
 
+//--------------------SENTINEL-1 PARAMETERS-------------------------------------------------//
+
+// SAR-optical fusion: Sentinel-1 VV surface moisture from the backscatter increase of the wet period
+// (startDate to endDate) against a dry reference, used where optical observations are missing
+var sarFusion = false;
+var dryStart = '2023-07-01';
+var dryEnd = '2023-08-31';
+var sarChangeThreshold = 3;        // VV increase (dB) above the dry reference of moist surfaces
+var minOpticalObservations = 2;    // Pixels with fewer cloud-free optical observations fall back to SAR
+
 // Include JRC layer on surface water seasonality to mask flood pixels from areas
 // of "permanent" water (where there is water > 10 months of the year)
 var swater = ee.Image('JRC/GSW1_4/GlobalSurfaceWater').select('seasonality');
@@ -65,34 +133,18 @@ var swater = ee.Image('JRC/GSW1_4/GlobalSurfaceWater').select('seasonality');
 // Map function to calculate spectral index for each image in the collection
 var withIndices = collection.map(function(image)
 {
-  // Select the QA60 band (cloud and shadow flags)
-    var qa = image.select('QA60');
-    
-  // Define bit positions for cloud and shadow (bit 10 for clouds, bit 11 for shadows)
-    var cloudBit = 10;
-    var shadowBit = 11;
-    
-  // Bitwise operations to extract cloud and shadow flags
-    var clouds = qa.bitwiseAnd(Math.pow(2, cloudBit)).neq(0);  // Cloud bit mask
-    var shadows = qa.bitwiseAnd(Math.pow(2, shadowBit)).neq(0);  // Shadow bit mask
-    
   // Bands needed for indices
-    var green = image.select('B3');  // Green band
-    var blue = image.select('B2');  // Blue band
-    var swir1 = image.select('B11');  // SWIR1 band
+    var green = image.select('green');  // Green band
+    var blue = image.select('blue');  // Blue band
+    var swir1 = image.select('swir1');  // SWIR1 band
   
   // Calculate SWI, NDMI, MNDWI
     var swi = image.expression('(blue > swir1) ? 1 / sqrt(blue - swir1) : 0', {'blue': blue,'swir1': swir1}).rename('SWI');
-    var ndmi = image.normalizedDifference(['B8', 'B11']).rename('NDMI');
+    var ndmi = image.normalizedDifference(['nir', 'swir1']).rename('NDMI');
     var mndwi = green.subtract(swir1).divide(green.add(swir1)).rename('MNDWI')
   
-  // Mask clouds and shadows from each index
-    var maskedSWI = swi.updateMask(clouds.not().and(shadows.not()));
-    var maskedNDMI = ndmi.updateMask(clouds.not().and(shadows.not()));
-    var maskedMNDWI = mndwi.updateMask(clouds.not().and(shadows.not()));
-  
-  // Add the masked indices as new bands to the image
-    return image.addBands(maskedSWI).addBands(maskedNDMI).addBands(maskedMNDWI);
+  // Add the indices as new bands to the image
+    return image.addBands(swi).addBands(ndmi).addBands(mndwi);
 });
 
 //-------------------- WATER EXTENT-----------------------------------------------//
@@ -278,6 +330,133 @@ var mndwiconnections = mndwi.connectedPixelCount();
 var mndwi = mndwi.updateMask(mndwiconnections.gte(10));
 
 
+//--------------------MOISTURE PERSISTENCE---------------------------------------------//
+
+// Thresholds applied to every cloud-free observation: fraction of the valid observations of each pixel
+// exceeding the threshold of each index, and persistent polygons at each frequency cut-off
+var persistence = {};
+if (persistenceMode) {
+  // Number of valid (cloud-free) observations of each pixel
+  var validObservations = withIndices.select('NDMI').count().rename('observations').clip(aoi);
+
+  // Index, min, range and threshold of the normalization, true where values above the threshold are kept
+  var persistenceIndices = [
+    ['SWI', minSWI.get('SWI'), swi_range, swi_th, false],
+    ['NDMI', minNDMI.get('NDMI'), ndmi_range, ndmi_th, true],
+    ['MNDWI', minMNDWI.get('MNDWI'), mndwi_range, mndwi_th, true]
+  ];
+
+  persistenceIndices.forEach(function(entry){
+    var index = entry[0];
+    var frequency = withIndices.select(index).map(function(image){
+      var norm = image.subtract(ee.Number(entry[1])).divide(entry[2]);
+      return entry[4] ? norm.gt(entry[3]) : norm.lt(entry[3]);
+    }).mean().rename(index).clip(aoi);
+    persistence[index] = {frequency: frequency, polygons: {}};
+
+    persistenceCutoffs.forEach(function(cutoff){
+      var persistent = frequency.gte(cutoff).where(swater_mask, 0);
+      persistent = persistent.updateMask(persistent);
+      persistent = persistent.updateMask(persistent.connectedPixelCount().gte(10));
+      persistence[index].polygons[cutoff] = persistent.reduceToVectors({
+        reducer: ee.Reducer.countEvery(),
+        geometry: aoi,
+        bestEffort: true,
+        maxPixels: 1e13,
+        scale: 10
+      }).map(function(feature){
+        return feature.set('cutoff', cutoff);
+      });
+
+      var stats = persistent.multiply(ee.Image.pixelArea()).reduceRegion({
+        reducer: ee.Reducer.sum(),
+        geometry: aoi,
+        scale: 10,
+        maxPixels: 1e13,
+        bestEffort: false
+      });
+      print(index + ' wet in at least ' + cutoff * 100 + '% of observations (ha):',
+        ee.Number(stats.get(index)).divide(10000).round());
+    });
+  });
+}
+
+//--------------------SAR-OPTICAL MOISTURE FUSION-----------------------------------------//
+
+if (sarFusion) {
+  // Load Sentinel-1 VV backscatter (dB) with a focal median to reduce speckle
+  var s1 = ee.ImageCollection('COPERNICUS/S1_GRD')
+      .filter(ee.Filter.eq('instrumentMode', 'IW'))
+      .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+      .filterBounds(aoi)
+      .select('VV')
+      .map(function(image){
+        return image.focalMedian(50, 'circle', 'meters')
+          .copyProperties(image, ['system:time_start', 'relativeOrbitNumber_start']);
+      });
+
+  var dryS1 = s1.filterDate(dryStart, dryEnd);
+  var wetS1 = s1.filterDate(startDate, endDate);
+  print(ee.String('Sentinel-1 images selected (wet period): ').cat('(').cat(wetS1.size()).cat(')'));
+
+  // Surface moisture index: VV change (dB) of the wet period against the dry reference, computed per
+  // relative orbit so that look geometry differences between orbits are not interpreted as moisture.
+  // Only orbits with both wet and dry images contribute
+  var sarOrbits = wetS1.aggregate_array('relativeOrbitNumber_start').distinct()
+    .filter(ee.Filter.inList('item', dryS1.aggregate_array('relativeOrbitNumber_start')));
+  var vvChange = ee.Image(ee.Algorithms.If(sarOrbits.size().gt(0),
+    ee.ImageCollection.fromImages(sarOrbits.map(function(orbit){
+      var orbitFilter = ee.Filter.eq('relativeOrbitNumber_start', orbit);
+      return wetS1.filter(orbitFilter).mean().subtract(dryS1.filter(orbitFilter).mean());
+    })).mean(),
+    ee.Image.constant(0).updateMask(0))).rename('VV_change').clip(aoi);
+  print(ee.Algorithms.If(sarOrbits.size().gt(0),
+    ee.String('Sentinel-1 relative orbits with a dry reference: ').cat(sarOrbits.size().format('%d')),
+    'WARNING: no Sentinel-1 relative orbit has both wet and dry period images, SAR fallback is empty and pixels without optical observations have no data'));
+  var sarMoisture = vvChange.gt(sarChangeThreshold).where(swater_mask, 0);
+
+  // Optical moisture: high moisture pixels detected by at least 2 of the 3 spectral indices
+  var opticalMoisture = swi.unmask(0).add(ndmi.unmask(0)).add(mndwi.unmask(0)).gte(2);
+
+  // Number of cloud-free optical observations of each pixel
+  var opticalCount = withIndices.select('NDMI').count().unmask(0).clip(aoi);
+  var opticalValid = opticalCount.gte(minOpticalObservations);
+
+  // Pixels with a VV change (outside the Sentinel-1 swath gaps and edges)
+  var sarValid = vvChange.mask().unmask(0);
+
+  // Source flag: 1 optical, 2 SAR (optical observations missing), 0 no data (neither available)
+  var moistureSource = ee.Image(0).where(sarValid, 2).where(opticalValid, 1).rename('source').clip(aoi);
+
+  // Fused moisture: optical where observed, otherwise SAR, built on an unmasked SAR base so that
+  // optical pixels are kept where the VV change is masked
+  var fusedMoisture = sarMoisture.unmask(0).where(opticalValid, opticalMoisture)
+    .updateMask(moistureSource.gt(0)).rename('fused');
+  fusedMoisture = fusedMoisture.updateMask(fusedMoisture);
+  fusedMoisture = fusedMoisture.updateMask(fusedMoisture.connectedPixelCount().gte(10));
+
+  var polygonsFused = fusedMoisture.reduceToVectors({
+    reducer: ee.Reducer.countEvery(),
+    geometry: aoi,
+    bestEffort: true,
+    maxPixels: 1e13,
+    scale: 10
+  });
+
+  // Fused moisture area (ha) from each source
+  var fusedStats = ee.Image.pixelArea().updateMask(fusedMoisture).addBands(moistureSource).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'source'}),
+    geometry: aoi,
+    scale: 10,
+    maxPixels: 1e13,
+    bestEffort: false
+  });
+  print('Fused moisture area (ha) by source (1 optical, 2 SAR):', ee.List(fusedStats.get('groups')).map(function(group){
+    group = ee.Dictionary(group);
+    return ee.Dictionary({'source': group.get('source'), 'area_ha': ee.Number(group.get('sum')).divide(10000).round()});
+  }));
+}
+
 //--------------------WATER/MOISTURE POLYGONS---------------------------------------------//
   
 // Convert the masks to polygons for each index
@@ -376,28 +555,86 @@ Map.addLayer(swi,{palette:['011f4b']},'SWI masked');
 Map.addLayer(ndmi,{palette:['005b96']},'NDMI masked');
 Map.addLayer(mndwi,{palette:['7adbf0']},'MNDWI masked');
 
+if (persistenceMode) {
+  Map.addLayer(validObservations, {min: 0, max: 20, palette: ['white', 'black']}, 'Valid observations', 0);
+  Object.keys(persistence).forEach(function(index){
+    Map.addLayer(persistence[index].frequency, {min: 0, max: 1, palette: ['white', '005b96']}, index + ' persistence', 0);
+  });
+}
+
 // Visualize the polygons (areas of water/moisture detected by each index)
 Map.addLayer(polygonsSWI, {color: '011f4b'}, 'SWI Polygons',0);
 Map.addLayer(polygonsNDMI, {color: '005b96'}, 'NDMI Polygons',0);
 Map.addLayer(polygonsMNDWI, {color: '7adbf0'}, 'MNDWI Polygons',0);
 
+if (sarFusion) {
+  Map.addLayer(vvChange, {min: -5, max: 5, palette: ['a6611a', 'f5f5f5', '018571']}, 'VV change from dry reference (dB)', 0);
+  Map.addLayer(moistureSource, {min: 0, max: 2, palette: ['bdbdbd', '005b96', 'e66101']}, 'Moisture source (no data, optical, SAR)', 0);
+  Map.addLayer(fusedMoisture, {palette: ['03396c']}, 'Fused moisture');
+  Map.addLayer(polygonsFused, {color: '03396c'}, 'Fused moisture Polygons', 0);
+}
 
 //----------------------------------- EXPORT -----------------------------------------------//
+// Record the Sentinel-2 product level used on each exported polygon
+function labelProductLevel(feature){
+  return feature.set('product_level', productLevel);
+}
+
 Export.table.toDrive({
-  collection: polygonsSWI,
+  collection: polygonsSWI.map(labelProductLevel),
   description: 'water_SWI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsNDMI,
+  collection: polygonsNDMI.map(labelProductLevel),
   description: 'water_NDMI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
 Export.table.toDrive({
-  collection: polygonsMNDWI,
+  collection: polygonsMNDWI.map(labelProductLevel),
   description: 'water_MNDWI_Polygon',
   folder: 'ee_demos',
   fileFormat: 'GeoJSON',
 });
+
+if (sarFusion) {
+  Export.table.toDrive({
+    collection: polygonsFused.map(labelProductLevel),
+    description: 'water_Fused_Polygon',
+    folder: 'ee_demos',
+    fileFormat: 'GeoJSON',
+  });
+  Export.image.toDrive({
+    image: fusedMoisture.unmask(0).addBands(moistureSource).addBands(vvChange).toFloat(),
+    description: 'water_Fused_Source',
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+}
+
+if (persistenceMode) {
+  Export.image.toDrive({
+    image: ee.Image(Object.keys(persistence).map(function(index){
+      return persistence[index].frequency;
+    })).addBands(validObservations).toFloat(),
+    description: 'water_Persistence',
+    folder: 'ee_demos',
+    region: aoi,
+    scale: 10,
+    maxPixels: 1e13
+  });
+  Object.keys(persistence).forEach(function(index){
+    persistenceCutoffs.forEach(function(cutoff){
+      Export.table.toDrive({
+        collection: persistence[index].polygons[cutoff].map(labelProductLevel),
+        description: 'water_' + index + '_Persistence_' + Math.round(cutoff * 100) + '_Polygon',
+        folder: 'ee_demos',
+        fileFormat: 'GeoJSON',
+      });
+    });
+  });
+}